@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
+import { isSessionActive } from '../utils/authSession.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -18,8 +19,18 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+
+      // Logged out / revoked sessions stop working straight away, not when the token expires
+      if (!(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired. Please log in again.'
+        });
+      }
+
       req.user = await User.findById(decoded.id).select('-password');
-      
+      req.sessionId = decoded.sid;
+
       if (!req.user) {
         return res.status(401).json({
           success: false,
@@ -49,6 +60,24 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export const optionalProtect = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+      const user = await isSessionActive(decoded.sid, decoded.id) && await User.findById(decoded.id).select('-password');
+      if (user && user.isActive) {
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired token: treat the request as anonymous
+  }
+  next();
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -71,6 +71,7 @@ const adminSettingsSchema = new mongoose.Schema({
       enum: ['otp', 'smtp', 'firebase', 'both'],
       default: 'smtp'
     },
+    selfSignup: { type: Boolean, default: true }, // visitors may create their own accounts
     firebaseConfig: {
       apiKey: String,
       authDomain: String,
@@ -80,6 +81,16 @@ const adminSettingsSchema = new mongoose.Schema({
       appId: String
     }
   },
+  lateFeeRules: {
+    enabled: { type: Boolean, default: true },
+    gracePeriodDays: { type: Number, default: 3 }, // days after due date before charges apply
+    flatLateFee: { type: Number, default: 500 }, // charged once per overdue installment
+    penalInterestRate: { type: Number, default: 24 } // annual %, accrued daily on the overdue amount
+  },
+  approvalRules: {
+    makerCheckerEnabled: { type: Boolean, default: false },
+    makerCheckerThreshold: { type: Number, default: 100000 } // loan amounts above this need two admins
+  },
   termsAndConditions: String,
   privacyPolicy: String
 }, {
@@ -53,38 +53,109 @@ const applicationSchema = new mongoose.Schema({
   },
   loanDetails: {
     loanAmount: { type: Number, required: true },
-    loanTenure: { type: Number, required: true }, // in months
+    loanTenure: { type: Number, required: true }, // in months (1 for payday loans)
     purpose: String,
     interestRate: Number,
-    emi: Number
+    emi: Number, // for payday loans: the single amount due
+    repaymentType: { type: String, enum: ['emi', 'payday'], default: 'emi' },
+    nextSalaryDate: Date, // payday loans: salary date the due date is derived from
+    dueDate: Date, // payday loans: indicative due date at submission
+    tenureDays: Number, // payday loans
+    // Upfront charges and effective cost, worked out from the loan's fees at submission
+    processingFee: Number,
+    otherCharges: Number,
+    gstOnFees: Number,
+    totalFees: Number,
+    netDisbursal: Number, // amount the borrower actually receives
+    apr: Number // annual percentage rate including fees
   },
   documents: [{
     type: { type: String, required: true }, // 'ID', 'Address', 'Income', 'Bank Statement', etc.
     name: { type: String, required: true },
     url: { type: String, required: true },
     uploadedAt: { type: Date, default: Date.now },
-    status: { type: String, enum: ['Pending', 'Verified', 'Rejected'], default: 'Pending' }
+    status: { type: String, enum: ['Pending', 'Verified', 'Rejected'], default: 'Pending' },
+    rejectionReason: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    generated: { type: Boolean, default: false }, // produced by the server (KFS, sanction letter)
+    sha256: String, // hash of generated files
+    // Files this document replaced, oldest first, kept for audit
+    previousVersions: [{
+      name: String,
+      url: String,
+      uploadedAt: Date,
+      status: String,
+      rejectionReason: String,
+      sha256: String,
+      replacedAt: { type: Date, default: Date.now }
+    }]
   }],
   status: {
     type: String,
-    enum: ['Draft', 'Submitted', 'Under Review', 'Documents Pending', 'Approved', 'Rejected'],
+    enum: ['Draft', 'Submitted', 'Under Review', 'Documents Pending', 'Pending Approval', 'Approved', 'Rejected', 'Sanctioned', 'Disbursed', 'Closed'],
     default: 'Draft'
   },
-  adminNotes: [{
-    note: String,
-    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    addedAt: { type: Date, default: Date.now }
+  statusHistory: [{
+    from: String,
+    status: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // empty for system changes
+    comment: String,
+    changedAt: { type: Date, default: Date.now }
   }],
+  // Internal reviewer notes. Not selected by default so they never reach borrower responses;
+  // admin views load them with .select('+adminNotes').
+  adminNotes: {
+    type: [{
+      note: String,
+      addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      addedAt: { type: Date, default: Date.now },
+      editedAt: Date
+    }],
+    select: false
+  },
   rejectionReason: String,
+  // Maker's recommendation on applications that need a second approver
+  approvalRecommendation: {
+    recommendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recommendedAt: Date,
+    comment: String
+  },
   approvedAt: Date,
   rejectedAt: Date,
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  sanctionedAmount: Number,
+  sanctionedAt: Date,
+  sanctionedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  disbursement: {
+    amount: Number, // gross amount disbursed against the loan
+    feesDeducted: { type: Number, default: 0 },
+    netAmount: Number, // amount actually paid out to the borrower
+    disbursedAt: Date,
+    referenceNumber: String, // UTR / bank reference
+    mode: { type: String, enum: ['NEFT', 'RTGS', 'IMPS', 'UPI', 'Cheque', 'Other'], default: 'IMPS' },
+    bankAccount: String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    consentId: { type: mongoose.Schema.Types.ObjectId, ref: 'LoanConsent' } // borrower acceptance it went out against
+  },
+  closedAt: Date,
+  // Review queue lock: the reviewer holding the file until leaseExpiresAt
+  assignment: {
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    claimedAt: Date,
+    leaseExpiresAt: Date,
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // set when reassigned by someone else
+  },
   applicationNumber: {
     type: String,
-    unique: true
+    unique: true,
+    sparse: true // drafts are numbered when submitted (run scripts/syncApplicationIndexes.js on older databases)
   },
   dynamicFields: {
     type: Map,
@@ -95,6 +166,43 @@ const applicationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+applicationSchema.index({ status: 1, 'assignment.leaseExpiresAt': 1, createdAt: 1 });
+applicationSchema.index({ 'assignment.reviewer': 1, 'assignment.leaseExpiresAt': 1 });
+
+// Allowed status changes. Anything not listed here is rejected by transitionTo().
+export const STATUS_TRANSITIONS = {
+  Draft: ['Submitted'],
+  Submitted: ['Under Review', 'Documents Pending', 'Rejected'],
+  'Under Review': ['Documents Pending', 'Pending Approval', 'Approved', 'Rejected'],
+  'Documents Pending': ['Under Review', 'Rejected'],
+  'Pending Approval': ['Approved', 'Rejected', 'Under Review'], // checker confirms, rejects or sends back
+  Approved: ['Sanctioned', 'Disbursed'],
+  Sanctioned: ['Disbursed'],
+  Rejected: [],
+  Disbursed: ['Closed'],
+  Closed: ['Disbursed'] // reopened when a closing payment is refunded
+};
+
+applicationSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record it in statusHistory. Throws on an illegal transition.
+applicationSchema.methods.transitionTo = function(status, { changedBy, comment } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move application from ${this.status} to ${status}`);
+  }
+  this.statusHistory.push({
+    from: this.status,
+    status,
+    changedBy,
+    comment,
+    changedAt: new Date()
+  });
+  this.status = status;
+  return this;
+};
+
 // Generate application number before saving
 applicationSchema.pre('save', async function(next) {
   if (!this.applicationNumber && this.status !== 'Draft') {
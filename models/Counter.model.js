@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Named sequences for human-readable document numbers
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically take the next value of a sequence. A missing sequence is first created at
+// the value returned by seed(), so numbering continues from documents issued before it existed.
+counterSchema.statics.next = async function(name, seed = async () => 0) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) return counter.seq;
+
+  try {
+    await this.updateOne({ _id: name }, { $setOnInsert: { seq: await seed() } }, { upsert: true });
+  } catch (error) {
+    // Another caller created it first
+    if (error.code !== 11000) throw error;
+  }
+
+  const created = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  return created.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Admin-editable wording for generated loan documents (KFS, sanction letter).
+// Text may use {{placeholders}} filled from the application, loan and fee data.
+const documentTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: ['kfs', 'sanction_letter'],
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  }, // paragraphs separated by blank lines
+  footer: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('DocumentTemplate', documentTemplateSchema);
@@ -12,6 +12,11 @@ const eligibilitySchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // set when submitted while logged in, or later via the claim flow
+  },
+  claimedAt: Date,
   loanId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Loan',
@@ -84,7 +89,35 @@ const eligibilitySchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
     trim: true
-  }
+  },
+  // Rules engine outcome. Referred checks stay 'pending' for an admin to decide.
+  autoDecision: {
+    type: String,
+    enum: ['approved', 'rejected', 'referred']
+  },
+  ruleResults: [{
+    _id: false,
+    rule: String,
+    outcome: { type: String, enum: ['passed', 'failed', 'review'] },
+    expected: String,
+    actual: mongoose.Schema.Types.Mixed,
+    message: String
+  }],
+  decisionSource: {
+    type: String,
+    enum: ['auto', 'manual']
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  // Set once the check has been turned into a draft loan application
+  convertedApplicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  convertedAt: Date
 }, {
   timestamps: true
 });
@@ -92,6 +125,7 @@ const eligibilitySchema = new mongoose.Schema({
 // Index for efficient queries
 eligibilitySchema.index({ email: 1, createdAt: -1 });
 eligibilitySchema.index({ loanId: 1, createdAt: -1 });
+eligibilitySchema.index({ userId: 1, createdAt: -1 });
 
 export default mongoose.model('Eligibility', eligibilitySchema);
 
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { calculateEMI } from '../utils/finance.js';
 
 const safeNum = v => {
   if (v === '' || v === null || v === undefined || v === 'NaN') return undefined;
@@ -40,6 +41,7 @@ const loanSchema = new mongoose.Schema({
     maxAge: { type: Number, default: 65 },
     minIncome: { type: Number, default: 25000 },
     minCreditScore: { type: Number, default: 600 },
+    foirCap: { type: Number, default: 50 }, // max % of net monthly income that can go to EMIs (incl. existing)
     employmentType: [String], // ['Salaried', 'Self-Employed', 'Business']
     otherCriteria: [String]
   },
@@ -74,6 +76,35 @@ const loanSchema = new mongoose.Schema({
     type: Number, // in months
     required: true
   },
+  repaymentType: {
+    type: String,
+    enum: ['emi', 'payday'], // payday: single repayment on the borrower's next salary date
+    default: 'emi'
+  },
+  paydayTerms: {
+    minDays: { type: Number, default: 7 },
+    maxDays: { type: Number, default: 45 }
+  },
+  foreclosure: {
+    allowed: { type: Boolean, default: true },
+    lockInMonths: { type: Number, default: 0 }, // no foreclosure/prepayment before this many months
+    feeType: { type: String, enum: ['percentage', 'flat'], default: 'percentage' },
+    feeValue: { type: Number, default: 0 }, // % of principal being repaid, or flat amount
+    minPartPayment: { type: Number, default: 0 }
+  },
+  // Upfront charges deducted from the disbursal
+  fees: {
+    processingFeeType: { type: String, enum: ['percentage', 'flat'], default: 'percentage' },
+    processingFeeValue: { type: Number, default: 0 }, // % of loan amount, or flat amount
+    processingFeeMin: { type: Number, default: 0 },
+    processingFeeMax: Number, // no cap when empty
+    gstRate: { type: Number, default: 18 }, // % charged on fees
+    otherCharges: [{
+      name: String,
+      amount: Number,
+      gstApplicable: { type: Boolean, default: true }
+    }]
+  },
   image: {
     type: String,
     default: ''
@@ -122,13 +153,8 @@ loanSchema.pre('validate', function(next) {
   });
 
   // Compute EMI only if absent and inputs valid
-  if (ld.emi == null && ld.principal && ld.annualRate && ld.tenureMonths) {
-    const P = ld.principal, r = (ld.annualRate / 12) / 100, n = ld.tenureMonths;
-    if (P > 0 && r > 0 && n > 0) {
-      const pow = Math.pow(1 + r, n);
-      const emi = P * r * pow / (pow - 1);
-      if (Number.isFinite(emi)) ld.emi = Number(emi.toFixed(2));
-    }
+  if (ld.emi == null && ld.principal > 0 && ld.annualRate > 0 && ld.tenureMonths > 0) {
+    ld.emi = calculateEMI(ld.principal, ld.annualRate, ld.tenureMonths);
   }
 
   // Do not error if emi still undefined
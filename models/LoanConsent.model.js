@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Borrower's OTP-confirmed acceptance of sanctioned loan terms.
+// Records are append-only and hash-chained (see utils/loanConsent.js): each recordHash covers
+// the record's contents and the previous record's hash, so edits or deletions are detectable.
+const loanConsentSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Generated documents the borrower accepted, with the hash of each file
+  documents: [{
+    _id: false,
+    type: { type: String, required: true },
+    documentId: mongoose.Schema.Types.ObjectId,
+    url: String,
+    sha256: { type: String, required: true }
+  }],
+  terms: {
+    sanctionedAmount: Number,
+    interestRate: Number,
+    tenure: Number,
+    tenureDays: Number,
+    emi: Number,
+    totalFees: Number,
+    netDisbursal: Number,
+    apr: Number
+  },
+  otp: {
+    otpId: mongoose.Schema.Types.ObjectId, // OTP record used; the OTP itself expires and is removed
+    channel: { type: String, enum: ['email', 'phone'] },
+    sentTo: String,
+    verifiedAt: Date
+  },
+  ipAddress: String,
+  userAgent: String,
+  acceptedAt: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true,
+    unique: true // two records can't extend the chain from the same point
+  },
+  recordHash: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+// Consent is evidence: never changed or removed through the app once written
+loanConsentSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Consent records cannot be modified'));
+  }
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  loanConsentSchema.pre(operation, function (next) {
+    next(new Error('Consent records cannot be modified'));
+  });
+}
+
+export default mongoose.model('LoanConsent', loanConsentSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+// One OTP sent to an email or phone. Codes are stored as an HMAC (see utils/otpService.js).
+// Records outlive the code itself so resend cooldowns and daily caps can be counted.
 const otpSchema = new mongoose.Schema({
   phone: {
     type: String,
@@ -9,31 +11,56 @@ const otpSchema = new mongoose.Schema({
     type: String,
     index: true
   },
-  code: {
+  codeHash: {
     type: String,
     required: true
   },
   purpose: {
     type: String,
-    enum: ['email', 'phone', 'login', 'application'],
+    enum: ['verification', 'email', 'phone', 'login', 'application', 'repayment', 'eligibility_claim', 'loan_acceptance', 'password_reset'],
     default: 'verification'
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
   expiresAt: {
     type: Date,
-    required: true,
-    index: { expireAfterSeconds: 0 } // Auto-delete expired OTPs
+    required: true
+  }, // code stops working
+  attempts: {
+    type: Number,
+    default: 0
   },
   verified: {
     type: Boolean,
     default: false
+  },
+  verifiedAt: Date,
+  // How the code was sent and whether it arrived (SMS providers report back asynchronously)
+  delivery: {
+    channel: { type: String, enum: ['email', 'sms'] },
+    provider: String,
+    messageId: String,
+    status: { type: String, enum: ['pending', 'sent', 'delivered', 'failed'], default: 'pending' },
+    error: String,
+    sentAt: Date,
+    deliveredAt: Date
+  },
+  purgeAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete once no longer needed for rate limits
   }
 }, {
   timestamps: true
 });
 
-// Index for faster lookups
-otpSchema.index({ phone: 1, code: 1 });
-otpSchema.index({ email: 1, code: 1 });
+// Lookups for the latest code and for send counts
+otpSchema.index({ email: 1, purpose: 1, createdAt: -1 });
+otpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+otpSchema.index({ ipAddress: 1, createdAt: -1 });
+otpSchema.index({ 'delivery.provider': 1, 'delivery.messageId': 1 });
 
 export default mongoose.model('OTP', otpSchema);
-
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.model.js';
+
+const allocationSchema = new mongoose.Schema({
+  installmentNumber: Number,
+  principal: { type: Number, default: 0 },
+  interest: { type: Number, default: 0 },
+  charges: { type: Number, default: 0 }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  refundId: String, // provider refund id
+  amount: { type: Number, required: true },
+  reason: String,
+  status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  purpose: {
+    type: String,
+    enum: ['repayment', 'prepayment', 'foreclosure', 'processing_fee'],
+    default: 'repayment'
+  },
+  prepaymentOption: {
+    type: String,
+    enum: ['reduce_tenure', 'reduce_emi']
+  },
+  prepaymentFee: Number, // part of amount that is the prepayment fee
+  // Schedule quoted for an online prepayment, applied at capture if the loan hasn't moved since
+  prepaymentPlan: {
+    outstandingPrincipalBefore: Number,
+    outstandingPrincipalAfter: Number,
+    principalAmount: Number,
+    emi: Number,
+    installments: [{
+      _id: false,
+      installmentNumber: Number,
+      dueDate: Date,
+      openingBalance: Number,
+      amount: Number,
+      principal: Number,
+      interest: Number,
+      closingBalance: Number
+    }],
+    quotedAt: Date
+  },
+  // Foreclosure quote the payment was made against, honoured at capture until validUntil
+  foreclosureQuote: {
+    asOf: Date,
+    validUntil: Date,
+    outstandingPrincipal: Number,
+    overdueInterest: Number,
+    accruedInterest: Number,
+    charges: Number,
+    foreclosureFee: Number,
+    totalPayable: Number
+  },
+  channel: {
+    type: String,
+    enum: ['online', 'offline'],
+    default: 'online'
+  },
+  mode: String, // UPI, NEFT, Cash, etc. for offline collections
+  referenceNumber: String, // UTR / bank reference
+  status: {
+    type: String,
+    // NeedsReconciliation: money was collected but could not be posted to the schedule
+    enum: ['Initiated', 'Processing', 'Success', 'Failed', 'Refunded', 'NeedsReconciliation'],
+    default: 'Initiated'
+  },
+  provider: String, // payment gateway used for online payments
+  providerOrderId: {
+    type: String,
+    index: true
+  },
+  providerPaymentId: String,
+  failureReason: String,
+  refunds: [refundSchema],
+  refundedAmount: { type: Number, default: 0 },
+  allocations: [allocationSchema],
+  outstandingAfter: Number,
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  paidAt: Date,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Receipt numbers are only issued for successful payments
+paymentSchema.pre('save', async function(next) {
+  if (!this.receiptNumber && this.status === 'Success') {
+    const seq = await Counter.next('receiptNumber', () =>
+      mongoose.model('Payment').countDocuments({ receiptNumber: { $exists: true } })
+    );
+    this.receiptNumber = `RCPT${String(seq).padStart(7, '0')}`;
+  }
+  next();
+});
+
+export default mongoose.model('Payment', paymentSchema);
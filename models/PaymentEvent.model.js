@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Raw gateway webhook deliveries, kept verbatim for reconciliation
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: String, // provider's event id, used to detect duplicate deliveries
+  type: String,
+  providerOrderId: String,
+  providerPaymentId: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  rawBody: String,
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'duplicate', 'ignored', 'rejected', 'error'],
+    default: 'received'
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 });
+paymentEventSchema.index({ providerOrderId: 1, createdAt: -1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
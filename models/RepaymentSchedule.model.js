@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const installmentSchema = new mongoose.Schema({
+  installmentNumber: { type: Number, required: true },
+  dueDate: { type: Date, required: true },
+  openingBalance: { type: Number, required: true },
+  amount: { type: Number, required: true }, // principal + interest due
+  principal: { type: Number, required: true },
+  interest: { type: Number, required: true },
+  closingBalance: { type: Number, required: true },
+  paidAmount: { type: Number, default: 0 }, // towards principal + interest
+  paidAt: Date,
+  // Overdue charges accrued by the late fee job
+  overdueSince: Date,
+  lateFee: { type: Number, default: 0 },
+  penalInterest: { type: Number, default: 0 },
+  penalAccruedUntil: Date,
+  chargesWaived: { type: Number, default: 0 },
+  chargesPaid: { type: Number, default: 0 },
+  status: {
+    type: String,
+    enum: ['Pending', 'Partially Paid', 'Paid', 'Overdue'],
+    default: 'Pending'
+  }
+});
+
+// Every money movement against the loan is recorded here in posting order
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['disbursement', 'payment', 'refund', 'late_fee', 'penal_interest', 'waiver', 'prepayment', 'foreclosure'],
+    required: true
+  },
+  amount: { type: Number, required: true },
+  principal: { type: Number, default: 0 },
+  interest: { type: Number, default: 0 },
+  charges: { type: Number, default: 0 }, // late fee / penal interest component
+  installmentNumber: Number,
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  description: String,
+  reason: String, // required for waivers
+  balanceAfter: Number, // outstanding principal after this entry
+  postedAt: { type: Date, default: Date.now },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+const repaymentScheduleSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  principal: { type: Number, required: true },
+  annualRate: { type: Number, required: true }, // annual percentage
+  tenureMonths: { type: Number, required: true },
+  repaymentType: { type: String, enum: ['emi', 'payday'], default: 'emi' },
+  tenureDays: Number, // payday loans
+  emi: { type: Number, required: true },
+  startDate: { type: Date, required: true },
+  installments: [installmentSchema],
+  totalInterest: { type: Number, default: 0 },
+  totalPayable: { type: Number, default: 0 },
+  outstandingPrincipal: { type: Number, default: 0 },
+  totalPaid: { type: Number, default: 0 },
+  ledger: [ledgerEntrySchema],
+  status: {
+    type: String,
+    enum: ['Active', 'Closed'],
+    default: 'Active'
+  },
+  closedAt: Date,
+  accrualRunOn: String, // UTC day (YYYY-MM-DD) of the last late fee run that charged this schedule
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('RepaymentSchedule', repaymentScheduleSchema);
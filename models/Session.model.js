@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session id and stop working as soon as the
+// session is revoked; the refresh token is rotated on every use and only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousRefreshTokenHash: String, // presenting this again means the token was copied
+  deviceName: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 } // Auto-delete expired sessions
+  },
+  revokedAt: Date,
+  revokedReason: String, // 'logout', 'revoked', 'token_reuse', 'password_reset', 'deactivated'
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Session', sessionSchema);
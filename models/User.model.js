@@ -41,15 +41,15 @@ const userSchema = new mongoose.Schema({
     pincode: String,
     country: { type: String, default: 'India' }
   },
+  firebaseUid: {
+    type: String,
+    unique: true,
+    sparse: true // only set for accounts that have signed in with Firebase
+  },
   isVerified: {
     email: { type: Boolean, default: false },
     phone: { type: Boolean, default: false }
   },
-  otp: {
-    code: String,
-    expiresAt: Date,
-    purpose: String // 'email', 'phone', 'login'
-  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -6,8 +6,11 @@ import AdminSettings from '../models/AdminSettings.model.js';
 import HomeLoanCard from '../models/HomeLoanCard.model.js';
 import HomeInfoCard from '../models/HomeInfoCard.model.js';
 import HomeBenefitCard from '../models/HomeBenefitCard.model.js';
+import DocumentTemplate from '../models/DocumentTemplate.model.js';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { uploadImage } from '../utils/upload.js';
+import { revokeSessions } from '../utils/authSession.js';
+import { DEFAULT_TEMPLATES, GENERATED_DOCUMENT_TYPES, getDocumentTemplate } from '../utils/loanDocuments.js';
 import cloudinary from '../utils/cloudinary.js';
 import fs from 'fs';
 
@@ -25,6 +28,7 @@ router.get('/auth-settings', async (req, res) => {
         success: true,
         data: {
           method: 'smtp',
+          selfSignup: true,
           firebaseConfig: null
         }
       });
@@ -54,8 +58,10 @@ router.get('/dashboard', async (req, res) => {
     const totalUsers = await User.countDocuments({ role: 'user' });
     const totalApplications = await Application.countDocuments();
     const pendingApplications = await Application.countDocuments({ status: { $in: ['Submitted', 'Under Review'] } });
+    const pendingApprovals = await Application.countDocuments({ status: 'Pending Approval' });
     const approvedApplications = await Application.countDocuments({ status: 'Approved' });
     const rejectedApplications = await Application.countDocuments({ status: 'Rejected' });
+    const disbursedApplications = await Application.countDocuments({ status: { $in: ['Disbursed', 'Closed'] } });
     const totalLoans = await Loan.countDocuments({ isActive: true });
 
     // Recent applications
@@ -76,6 +82,18 @@ router.get('/dashboard', async (req, res) => {
       }
     ]);
 
+    // Disbursed volume (gross and net of fees)
+    const [disbursementTotals] = await Application.aggregate([
+      { $match: { status: { $in: ['Disbursed', 'Closed'] } } },
+      {
+        $group: {
+          _id: null,
+          disbursedVolume: { $sum: '$disbursement.amount' },
+          netDisbursedVolume: { $sum: '$disbursement.netAmount' }
+        }
+      }
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -83,8 +101,12 @@ router.get('/dashboard', async (req, res) => {
           totalUsers,
           totalApplications,
           pendingApplications,
+          pendingApprovals,
           approvedApplications,
           rejectedApplications,
+          disbursedApplications,
+          disbursedVolume: disbursementTotals?.disbursedVolume || 0,
+          netDisbursedVolume: disbursementTotals?.netDisbursedVolume || 0,
           totalLoans
         },
         recentApplications,
@@ -299,6 +321,10 @@ router.put('/users/:id', async (req, res) => {
       });
     }
 
+    if (isActive === false) {
+      await revokeSessions({ userId: user._id }, { reason: 'deactivated', revokedBy: req.user._id });
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -765,5 +791,67 @@ router.delete('/home-benefit-cards/:id', async (req, res) => {
   }
 });
 
+// ==================== Loan Document Templates ====================
+
+// @route   GET /api/admin/document-templates
+// @desc    Templates for generated loan documents (KFS, sanction letter)
+// @access  Private/Admin
+router.get('/document-templates', async (req, res) => {
+  try {
+    const templates = await Promise.all(Object.keys(DEFAULT_TEMPLATES).map(getDocumentTemplate));
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/document-templates/:key
+// @desc    Save the wording of a document template. Text may use {{placeholders}}.
+// @access  Private/Admin
+router.put('/document-templates/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!GENERATED_DOCUMENT_TYPES[key]) {
+      return res.status(404).json({ success: false, message: 'Document template not found' });
+    }
+
+    const { title, body, footer } = req.body;
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ success: false, message: 'Title cannot be empty' });
+    }
+    if (body !== undefined && !String(body).trim()) {
+      return res.status(400).json({ success: false, message: 'Body cannot be empty' });
+    }
+
+    const template = await DocumentTemplate.findOne({ key })
+      || new DocumentTemplate({ key, ...DEFAULT_TEMPLATES[key] });
+    if (title !== undefined) template.title = title;
+    if (body !== undefined) template.body = body;
+    if (footer !== undefined) template.footer = footer;
+    template.updatedBy = req.user._id;
+
+    await template.save();
+    res.json({ success: true, message: 'Document template updated', data: template });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/document-templates/:key
+// @desc    Go back to the default wording
+// @access  Private/Admin
+router.delete('/document-templates/:key', async (req, res) => {
+  try {
+    if (!GENERATED_DOCUMENT_TYPES[req.params.key]) {
+      return res.status(404).json({ success: false, message: 'Document template not found' });
+    }
+
+    await DocumentTemplate.deleteOne({ key: req.params.key });
+    res.json({ success: true, message: 'Document template reset to default', data: await getDocumentTemplate(req.params.key) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message || 'Server error' });
+  }
+});
+
 export default router;
 
@@ -1,13 +1,52 @@
 import express from 'express';
 import Application from '../models/Application.model.js';
-import { protect } from '../middleware/auth.middleware.js';
-import { uploadMultiple, uploadAny } from '../utils/upload.js';
-import { sendEmail } from '../utils/sendEmail.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { upload, uploadMultiple, uploadAny } from '../utils/upload.js';
+import { sendEmail, sendDisbursementEmail, sendDocumentsPendingEmail } from '../utils/sendEmail.js';
 import mongoose from 'mongoose';
 import Loan from '../models/Loan.model.js';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import Payment from '../models/Payment.model.js';
+import {
+  generateScheduleForApplication,
+  regenerateScheduleForApplication,
+  waiveInstallmentCharges,
+  closeRepaidApplication,
+  getForeclosureQuote,
+  buildPrepaymentPlan,
+  applyPrepaymentToSchedule,
+  applyForeclosureToSchedule
+} from '../utils/repaymentSchedule.js';
+import { createPaymentOrder } from '../utils/payments/index.js';
+import Eligibility from '../models/Eligibility.model.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import { isHeldByAnother, clearAssignment } from '../utils/reviewQueue.js';
+import { priceLoanDetails, checkLoanLimits, quoteLoanDetails } from '../utils/loanPricing.js';
+import { generateLoanDocument, GENERATED_DOCUMENT_TYPES } from '../utils/loanDocuments.js';
+import LoanConsent from '../models/LoanConsent.model.js';
+import { requestOtp, verifyOtp, deliverOtp, sendOtpError, otpSentResponse } from '../utils/otpService.js';
+import {
+  getConsentDocuments,
+  getAcceptanceTerms,
+  createConsentRecord,
+  verifyConsentRecord,
+  findValidConsent
+} from '../utils/loanConsent.js';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  roundCurrency,
+  resolvePaydayDueDate,
+  calculateDailyInterest,
+  calculateEMI,
+  calculateLoanFees
+} from '../utils/finance.js';
 
 const router = express.Router();
 
+const uploadsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../uploads');
+
 // @route   POST /api/applications
 // @desc    Create new loan application
 // @access  Private
@@ -76,7 +115,9 @@ router.post('/', protect, uploadAny, async (req, res) => {
     
     // Get loanAmount from either loanAmount or principal field
     const loanAmountRaw = ld.loanAmount ?? ld.principal;
-    const loanTenureRaw = ld.loanTenure ?? ld.tenureMonths;
+    // Payday loans are a single repayment on the salary date, so tenure is always one period
+    const isPayday = loan.repaymentType === 'payday';
+    const loanTenureRaw = isPayday ? 1 : (ld.loanTenure ?? ld.tenureMonths);
     
     // Check if fields are provided
     if (loanAmountRaw === undefined || loanAmountRaw === null || loanAmountRaw === '') {
@@ -133,14 +174,60 @@ router.post('/', protect, uploadAny, async (req, res) => {
       });
     }
 
+    const limitError = checkLoanLimits(loan, { loanAmount, loanTenure });
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
     const annualRate = loan.interestRate?.default ?? loan.interestRate?.min ?? 0;
-    const monthlyRate = annualRate / 100 / 12;
-    const emi = monthlyRate > 0
-      ? Math.round(
-          (loanAmount * monthlyRate * Math.pow(1 + monthlyRate, loanTenure)) /
-          (Math.pow(1 + monthlyRate, loanTenure) - 1)
-        )
-      : 0;
+    let emi = calculateEMI(loanAmount, annualRate, loanTenure);
+
+    // Payday loans: due on the next salary date (from the form or the latest eligibility
+    // check), with actual/365 interest for the days in between
+    let paydayDetails = {};
+    if (isPayday) {
+      let nextSalaryDate = ld.nextSalaryDate ? new Date(ld.nextSalaryDate) : null;
+      if (nextSalaryDate && isNaN(nextSalaryDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Next salary date must be a valid date'
+        });
+      }
+
+      if (!nextSalaryDate) {
+        const eligibility = await Eligibility.findOne({
+          userId: req.user._id,
+          nextSalaryDate: { $exists: true, $ne: null }
+        }).sort({ createdAt: -1 });
+        nextSalaryDate = eligibility?.nextSalaryDate || null;
+      }
+
+      if (!nextSalaryDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Next salary date is required for this loan'
+        });
+      }
+
+      const { dueDate, days } = resolvePaydayDueDate({
+        nextSalaryDate,
+        minDays: loan.paydayTerms?.minDays,
+        maxDays: loan.paydayTerms?.maxDays
+      });
+      emi = roundCurrency(loanAmount + calculateDailyInterest(loanAmount, annualRate, days));
+      paydayDetails = { repaymentType: 'payday', nextSalaryDate, dueDate, tenureDays: days };
+    }
+
+    const pricing = priceLoanDetails(loan, { loanAmount, loanTenure, interestRate: annualRate, emi, ...paydayDetails });
+    if (pricing.netDisbursal <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan amount is too small to cover the fees on this loan'
+      });
+    }
 
     // Prepare documents array
     const documents = [];
@@ -237,11 +324,14 @@ router.post('/', protect, uploadAny, async (req, res) => {
         loanAmount,
         loanTenure,
         interestRate: annualRate,
-        emi
+        emi,
+        ...paydayDetails,
+        ...pricing
       },
       documents,
       dynamicFields: dynamicFields,
-      status: 'Submitted'
+      status: 'Submitted',
+      statusHistory: [{ status: 'Submitted', changedBy: req.user._id, comment: 'Application submitted' }]
     });
 
     // Send confirmation email (fix signature)
@@ -340,11 +430,18 @@ router.get('/', protect, async (req, res) => {
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
   try {
-    const application = await Application.findById(req.params.id)
+    let query = Application.findById(req.params.id)
       .populate({ path: 'loanId', populate: { path: 'category', select: 'name slug active' } })
       .populate('userId', 'name email phone')
       .populate('approvedBy', 'name');
 
+    // Admins get the internal notes as part of the detail view
+    if (req.user.role === 'admin') {
+      query = query.select('+adminNotes').populate('adminNotes.addedBy', 'name email');
+    }
+
+    const application = await query;
+
     if (!application) {
       return res.status(404).json({
         success: false,
@@ -372,12 +469,16 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/applications/:id
-// @desc    Update application
-// @access  Private
-router.put('/:id', protect, async (req, res) => {
+const NOTE_EDIT_WINDOW_MINUTES = Number(process.env.ADMIN_NOTE_EDIT_WINDOW_MINUTES) || 15;
+
+// @route   GET /api/applications/:id/notes
+// @desc    List internal notes on an application (Admin only)
+// @access  Private/Admin
+router.get('/:id/notes', protect, authorize('admin'), async (req, res) => {
   try {
-    const application = await Application.findById(req.params.id);
+    const application = await Application.findById(req.params.id)
+      .select('+adminNotes')
+      .populate('adminNotes.addedBy', 'name email');
 
     if (!application) {
       return res.status(404).json({
@@ -386,24 +487,103 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    // Only user can update their own draft application, or admin can update any
-    if (req.user.role !== 'admin' && 
-        (application.userId.toString() !== req.user._id.toString() || application.status !== 'Draft')) {
+    res.json({
+      success: true,
+      count: application.adminNotes.length,
+      data: application.adminNotes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/notes
+// @desc    Add an internal note to an application (Admin only)
+// @access  Private/Admin
+router.post('/:id/notes', protect, authorize('admin'), async (req, res) => {
+  try {
+    const note = req.body.note?.trim();
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note cannot be empty'
+      });
+    }
+
+    const application = await Application.findById(req.params.id).select('+adminNotes');
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    application.adminNotes.push({ note, addedBy: req.user._id });
+    await application.save();
+    await application.populate('adminNotes.addedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: application.adminNotes[application.adminNotes.length - 1]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/applications/:id/notes/:noteId
+// @desc    Edit own note within the edit window (Admin only)
+// @access  Private/Admin
+router.put('/:id/notes/:noteId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const note = req.body.note?.trim();
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note cannot be empty'
+      });
+    }
+
+    const application = await Application.findById(req.params.id).select('+adminNotes');
+    const existing = application?.adminNotes.id(req.params.noteId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (existing.addedBy?.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this application'
+        message: 'You can only edit your own notes'
       });
     }
 
-    const updatedApplication = await Application.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    if (Date.now() - existing.addedAt.getTime() > NOTE_EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Notes can only be edited within ${NOTE_EDIT_WINDOW_MINUTES} minutes of being added`
+      });
+    }
+
+    existing.note = note;
+    existing.editedAt = new Date();
+    await application.save();
+    await application.populate('adminNotes.addedBy', 'name email');
 
     res.json({
       success: true,
-      data: updatedApplication
+      message: 'Note updated',
+      data: application.adminNotes.id(req.params.noteId)
     });
   } catch (error) {
     res.status(500).json({
@@ -413,20 +593,49 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   POST /api/applications/:id/approve
-// @desc    Approve application (Admin only)
+// @route   DELETE /api/applications/:id/notes/:noteId
+// @desc    Delete own note (Admin only)
 // @access  Private/Admin
-router.post('/:id/approve', protect, async (req, res) => {
+router.delete('/:id/notes/:noteId', protect, authorize('admin'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    const application = await Application.findById(req.params.id).select('+adminNotes');
+    const existing = application?.adminNotes.id(req.params.noteId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (existing.addedBy?.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized'
+        message: 'You can only delete your own notes'
       });
     }
 
-    const application = await Application.findById(req.params.id)
-      .populate('userId');
+    existing.deleteOne();
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Note deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/applications/:id/schedule
+// @desc    Get repayment schedule for an approved application
+// @access  Private
+router.get('/:id/schedule', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
 
     if (!application) {
       return res.status(404).json({
@@ -435,33 +644,30 @@ router.post('/:id/approve', protect, async (req, res) => {
       });
     }
 
-    application.status = 'Approved';
-    application.approvedAt = new Date();
-    application.approvedBy = req.user._id;
-    await application.save();
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this schedule'
+      });
+    }
 
-    // Send approval email
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h2 style="color: #28a745;">Loan Application Approved!</h2>
-        <p style="color: #666;">Dear ${application.personalInfo.fullName},</p>
-        <p style="color: #666;">Congratulations! Your loan application has been approved.</p>
-        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
-        <p style="color: #666;"><strong>Loan Amount:</strong> ₹${application.loanDetails.loanAmount.toLocaleString()}</p>
-        <p style="color: #666;">Our team will contact you shortly to proceed with the disbursement.</p>
-      </div>
-    `;
+    let schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
 
-    await sendEmail(
-      application.userId.email,
-      'Loan Application Approved',
-      emailHtml
-    );
+    // Applications approved before schedules existed get one generated on first access
+    if (!schedule && ['Approved', 'Sanctioned', 'Disbursed'].includes(application.status)) {
+      schedule = await generateScheduleForApplication(application, { generatedBy: application.approvedBy });
+    }
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repayment schedule is available once the application is approved'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Application approved successfully',
-      data: application
+      data: schedule
     });
   } catch (error) {
     res.status(500).json({
@@ -471,10 +677,10 @@ router.post('/:id/approve', protect, async (req, res) => {
   }
 });
 
-// @route   POST /api/applications/:id/reject
-// @desc    Reject application (Admin only)
+// @route   POST /api/applications/:id/schedule/waive
+// @desc    Waive late fee / penal interest on an installment (Admin only)
 // @access  Private/Admin
-router.post('/:id/reject', protect, async (req, res) => {
+router.post('/:id/schedule/waive', protect, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({
@@ -483,9 +689,62 @@ router.post('/:id/reject', protect, async (req, res) => {
       });
     }
 
-    const { rejectionReason } = req.body;
-    const application = await Application.findById(req.params.id)
-      .populate('userId');
+    const { installmentNumber, amount, reason } = req.body;
+
+    if (!installmentNumber || !reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Installment number and waiver reason are required'
+      });
+    }
+
+    const schedule = await RepaymentSchedule.findOne({ applicationId: req.params.id });
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repayment schedule not found'
+      });
+    }
+
+    let installment;
+    try {
+      installment = waiveInstallmentCharges(schedule, {
+        installmentNumber,
+        amount,
+        reason: String(reason).trim(),
+        postedBy: req.user._id
+      });
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    await schedule.save();
+
+    if (schedule.status === 'Closed') {
+      await closeRepaidApplication(schedule.applicationId, { closedAt: schedule.closedAt, changedBy: req.user._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Charges waived successfully',
+      data: installment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/applications/:id/foreclosure-quote
+// @desc    Amount needed to close the loan today
+// @access  Private
+router.get('/:id/foreclosure-quote', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).populate('loanId', 'foreclosure');
 
     if (!application) {
       return res.status(404).json({
@@ -494,32 +753,1508 @@ router.post('/:id/reject', protect, async (req, res) => {
       });
     }
 
-    application.status = 'Rejected';
-    application.rejectedAt = new Date();
-    application.rejectionReason = rejectionReason || 'Application did not meet eligibility criteria';
-    await application.save();
-
-    // Send rejection email
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h2 style="color: #dc3545;">Loan Application Status</h2>
-        <p style="color: #666;">Dear ${application.personalInfo.fullName},</p>
-        <p style="color: #666;">We regret to inform you that your loan application has been rejected.</p>
-        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
-        <p style="color: #666;"><strong>Reason:</strong> ${application.rejectionReason}</p>
-        <p style="color: #666;">Please feel free to contact us if you have any questions.</p>
-      </div>
-    `;
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this loan'
+      });
+    }
 
-    await sendEmail(
-      application.userId.email,
-      'Loan Application Status',
-      emailHtml
-    );
+    const schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+    if (!schedule || application.status !== 'Disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Foreclosure quotes are available for disbursed loans only'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Application rejected',
+      data: getForeclosureQuote(schedule, application.loanId?.foreclosure)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/prepayment
+// @desc    Part-prepay a loan. preview=true only returns the rebuilt schedule.
+//          Admins can record an offline prepayment by passing referenceNumber;
+//          borrowers get a payment gateway order.
+// @access  Private
+router.post('/:id/prepayment', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).populate('loanId', 'foreclosure');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to prepay this loan'
+      });
+    }
+
+    const schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+    if (!schedule || application.status !== 'Disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Part-prepayment is available for disbursed loans only'
+      });
+    }
+
+    const { amount, option = 'reduce_tenure', preview, referenceNumber, mode } = req.body;
+    const foreclosure = application.loanId?.foreclosure || {};
+
+    let plan;
+    try {
+      plan = buildPrepaymentPlan(schedule, foreclosure, { amount, option });
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    const totalPayable = roundCurrency(plan.principalAmount + plan.fee);
+
+    if (preview === true || preview === 'true') {
+      return res.json({
+        success: true,
+        data: { ...plan, totalPayable }
+      });
+    }
+
+    const payment = new Payment({
+      applicationId: application._id,
+      userId: application.userId,
+      amount: totalPayable,
+      purpose: 'prepayment',
+      prepaymentOption: option,
+      prepaymentFee: plan.fee
+    });
+
+    if (isAdmin && referenceNumber) {
+      payment.channel = 'offline';
+      payment.mode = mode;
+      payment.referenceNumber = referenceNumber;
+      payment.recordedBy = req.user._id;
+      const result = await applyPrepaymentToSchedule(payment, foreclosure, { postedBy: req.user._id });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Prepayment recorded and schedule updated',
+        data: {
+          payment: result.payment,
+          schedule: result.schedule
+        }
+      });
+    }
+
+    payment.channel = 'online';
+    payment.prepaymentPlan = {
+      outstandingPrincipalBefore: schedule.outstandingPrincipal,
+      outstandingPrincipalAfter: plan.outstandingPrincipalAfter,
+      principalAmount: plan.principalAmount,
+      emi: plan.emi,
+      installments: plan.installments,
+      quotedAt: new Date()
+    };
+    await payment.save();
+    const order = await createPaymentOrder(payment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prepayment initiated',
+      data: {
+        payment,
+        order,
+        plan: { ...plan, totalPayable }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/foreclosure
+// @desc    Close a loan early for today's foreclosure quote. preview=true only returns the quote.
+//          Admins can record an offline foreclosure by passing referenceNumber;
+//          borrowers get a payment gateway order.
+// @access  Private
+router.post('/:id/foreclosure', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).populate('loanId', 'foreclosure');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to foreclose this loan'
+      });
+    }
+
+    const schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+    if (!schedule || application.status !== 'Disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Foreclosure is available for disbursed loans only'
+      });
+    }
+
+    const { preview, referenceNumber, mode } = req.body;
+    const foreclosure = application.loanId?.foreclosure || {};
+    const quote = getForeclosureQuote(schedule, foreclosure);
+
+    if (!quote.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: quote.reason
+      });
+    }
+
+    if (preview === true || preview === 'true') {
+      return res.json({
+        success: true,
+        data: quote
+      });
+    }
+
+    const payment = new Payment({
+      applicationId: application._id,
+      userId: application.userId,
+      amount: quote.totalPayable,
+      purpose: 'foreclosure',
+      foreclosureQuote: quote
+    });
+
+    if (isAdmin && referenceNumber) {
+      payment.channel = 'offline';
+      payment.mode = mode;
+      payment.referenceNumber = referenceNumber;
+      payment.recordedBy = req.user._id;
+      payment.paidAt = quote.asOf;
+      const result = await applyForeclosureToSchedule(payment, foreclosure, { postedBy: req.user._id });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Foreclosure recorded and loan closed',
+        data: {
+          payment: result.payment,
+          schedule: result.schedule
+        }
+      });
+    }
+
+    payment.channel = 'online';
+    await payment.save();
+    const order = await createPaymentOrder(payment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Foreclosure initiated',
+      data: {
+        payment,
+        order,
+        quote
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Fields that can be edited through PUT /:id. Anything else is either set by the server or
+// owned by a workflow endpoint (WORKFLOW_FIELDS) and rejected.
+const EDITABLE_FIELDS = ['personalInfo', 'address', 'employmentInfo', 'dynamicFields'];
+// Borrowers editing their draft
+const OWNER_EDITABLE_FIELDS = ['personalInfo', 'address', 'employmentInfo'];
+// Of loanDetails only the amount, tenure and purpose are taken; the rest is priced from the loan
+const EDITABLE_LOAN_FIELDS = ['loanAmount', 'loanTenure', 'purpose'];
+// The agreed terms are fixed once sanctioned, and the repayment schedule from approval on
+const LOCKED_STATUSES = ['Sanctioned', 'Disbursed', 'Closed'];
+const LOCKED_LOAN_STATUSES = ['Approved', ...LOCKED_STATUSES];
+const WORKFLOW_FIELDS = [
+  'status', 'statusHistory', 'adminNotes', 'documents', 'assignment',
+  'approvalRecommendation', 'approvedAt', 'approvedBy', 'rejectionReason', 'rejectedAt',
+  'sanctionedAmount', 'sanctionedAt', 'sanctionedBy', 'disbursement', 'closedAt',
+  'applicationNumber', 'userId', 'loanId', 'loanType'
+];
+
+// @route   PUT /api/applications/:id
+// @desc    Update application
+// @access  Private
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    // Only user can update their own draft application, or admin can update any
+    if (req.user.role !== 'admin' && 
+        (application.userId.toString() !== req.user._id.toString() || application.status !== 'Draft')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this application'
+      });
+    }
+
+    // Workflow-owned fields only change through their own endpoints so every change is recorded
+    const lockedFields = WORKFLOW_FIELDS.filter(field =>
+      req.body[field] !== undefined && !(field === 'status' && req.body.status === application.status));
+    if (lockedFields.length) {
+      return res.status(400).json({
+        success: false,
+        message: `${lockedFields.join(', ')} cannot be changed here. Use the application workflow actions instead.`
+      });
+    }
+
+    if (LOCKED_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `${application.status} applications cannot be edited`
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const updates = {};
+    (isAdmin ? EDITABLE_FIELDS : OWNER_EDITABLE_FIELDS).forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const requestedLoan = req.body.loanDetails;
+    if (requestedLoan && EDITABLE_LOAN_FIELDS.some(field => requestedLoan[field] !== undefined)) {
+      if (LOCKED_LOAN_STATUSES.includes(application.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Loan details of ${application.status} applications cannot be changed`
+        });
+      }
+
+      const loan = await Loan.findById(application.loanId);
+      if (!loan) {
+        return res.status(400).json({
+          success: false,
+          message: 'This loan is no longer available'
+        });
+      }
+
+      const current = application.loanDetails;
+      const loanAmount = Number(requestedLoan.loanAmount ?? current.loanAmount);
+      const loanTenure = Number(requestedLoan.loanTenure ?? current.loanTenure);
+      const limitError = checkLoanLimits(loan, { loanAmount, loanTenure });
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+
+      updates.loanDetails = quoteLoanDetails(loan, {
+        loanAmount,
+        loanTenure,
+        nextSalaryDate: current.nextSalaryDate,
+        purpose: requestedLoan.purpose ?? current.purpose
+      });
+    }
+
+    const updatedApplication = await Application.findByIdAndUpdate(
+      req.params.id,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      data: updatedApplication
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Statuses that can be set through POST /:id/status. Approval, rejection, sanction,
+// disbursement and closure have their own endpoints because they carry side effects.
+const MANUAL_STATUSES = ['Submitted', 'Under Review', 'Documents Pending'];
+
+// @route   POST /api/applications/:id/status
+// @desc    Move an application along the workflow (owner: submit a draft; admin: review steps)
+// @access  Private
+router.post('/:id/status', protect, async (req, res) => {
+  try {
+    const { status, comment } = req.body;
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const isOwner = application.userId.toString() === req.user._id.toString();
+    if (req.user.role !== 'admin' && !(isOwner && status === 'Submitted')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change the status of this application'
+      });
+    }
+
+    if (!MANUAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${MANUAL_STATUSES.join(', ')}`
+      });
+    }
+
+    if (req.user.role === 'admin' && isHeldByAnother(application, req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application is being reviewed by another underwriter'
+      });
+    }
+
+    if (!application.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move application from ${application.status} to ${status}`
+      });
+    }
+
+    // Drafts are checked against the loan's current limits and priced again at submission
+    if (application.status === 'Draft' && status === 'Submitted') {
+      const loan = await Loan.findById(application.loanId);
+      if (!loan || !loan.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'This loan is no longer available'
+        });
+      }
+
+      const { loanAmount, loanTenure, nextSalaryDate, purpose } = application.loanDetails;
+      const limitError = checkLoanLimits(loan, { loanAmount, loanTenure });
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          message: limitError
+        });
+      }
+
+      const loanDetails = quoteLoanDetails(loan, { loanAmount, loanTenure, nextSalaryDate, purpose });
+      if (loanDetails.netDisbursal <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Loan amount is too small to cover the fees on this loan'
+        });
+      }
+      application.loanDetails = loanDetails;
+    }
+
+    application.transitionTo(status, { changedBy: req.user._id, comment });
+    await application.save();
+
+    res.json({
+      success: true,
+      message: `Application moved to ${status}`,
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/applications/:id/timeline
+// @desc    Get the status history of an application
+// @access  Private
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .select('userId applicationNumber status statusHistory createdAt')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this application'
+      });
+    }
+
+    const timeline = [...application.statusHistory].sort((a, b) => a.changedAt - b.changedAt);
+
+    res.json({
+      success: true,
+      data: {
+        applicationNumber: application.applicationNumber,
+        status: application.status,
+        createdAt: application.createdAt,
+        timeline
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/documents/:docId/verify
+// @desc    Mark a single document as verified (Admin only)
+// @access  Private/Admin
+router.post('/:id/documents/:docId/verify', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+    const document = application?.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (isHeldByAnother(application, req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application is being reviewed by another underwriter'
+      });
+    }
+
+    document.status = 'Verified';
+    document.rejectionReason = undefined;
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Document verified',
+      data: document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/documents/:docId/reject
+// @desc    Reject a single document and ask the borrower to upload it again (Admin only)
+// @access  Private/Admin
+router.post('/:id/documents/:docId/reject', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejecting the document'
+      });
+    }
+
+    const application = await Application.findById(req.params.id).populate('userId');
+    const document = application?.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (isHeldByAnother(application, req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application is being reviewed by another underwriter'
+      });
+    }
+
+    if (application.status !== 'Documents Pending' && !application.canTransitionTo('Documents Pending')) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be re-requested while the application is ${application.status}`
+      });
+    }
+
+    document.status = 'Rejected';
+    document.rejectionReason = reason;
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+
+    if (application.status !== 'Documents Pending') {
+      application.transitionTo('Documents Pending', {
+        changedBy: req.user._id,
+        comment: `${document.type} rejected: ${reason}`
+      });
+    }
+    await application.save();
+
+    await sendDocumentsPendingEmail(application.userId?.email || application.personalInfo.email, {
+      fullName: application.personalInfo.fullName,
+      applicationNumber: application.applicationNumber,
+      documents: application.documents.filter(doc => doc.status === 'Rejected')
+    });
+
+    res.json({
+      success: true,
+      message: 'Document rejected and borrower notified',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/applications/:id/documents/:docId
+// @desc    Upload a replacement file for a document (previous file is kept for audit)
+// @access  Private
+router.put('/:id/documents/:docId', protect, upload.single('file'), async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+    const document = application?.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this application'
+      });
+    }
+
+    if (!['Submitted', 'Under Review', 'Documents Pending'].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be changed while the application is ${application.status}`
+      });
+    }
+
+    if (document.status === 'Verified') {
+      return res.status(400).json({
+        success: false,
+        message: 'This document has already been verified'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    document.previousVersions.push({
+      name: document.name,
+      url: document.url,
+      uploadedAt: document.uploadedAt,
+      status: document.status,
+      rejectionReason: document.rejectionReason
+    });
+    document.name = req.file.originalname;
+    document.url = `/uploads/${req.file.filename}`;
+    document.uploadedAt = new Date();
+    document.status = 'Pending';
+    document.rejectionReason = undefined;
+    document.reviewedBy = undefined;
+    document.reviewedAt = undefined;
+
+    // Back to the reviewer once nothing is left to re-upload
+    const stillRejected = application.documents.some(doc => doc.status === 'Rejected');
+    if (application.status === 'Documents Pending' && !stillRejected) {
+      application.transitionTo('Under Review', {
+        changedBy: req.user._id,
+        comment: 'Borrower uploaded the requested documents'
+      });
+    }
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Statuses in which each generated document can be (re)issued
+const DOCUMENT_GENERATION_STATUSES = {
+  kfs: ['Approved', 'Sanctioned'],
+  sanction_letter: ['Sanctioned']
+};
+
+// @route   POST /api/applications/:id/documents/generate
+// @desc    Generate the Key Fact Statement or sanction letter PDF (Admin only)
+// @access  Private/Admin
+// Body: type ('kfs' or 'sanction_letter')
+router.post('/:id/documents/generate', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    if (!GENERATED_DOCUMENT_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(GENERATED_DOCUMENT_TYPES).join(', ')}`
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!DOCUMENT_GENERATION_STATUSES[type].includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `${GENERATED_DOCUMENT_TYPES[type]} can only be generated when the application is ${DOCUMENT_GENERATION_STATUSES[type].join(' or ')}`
+      });
+    }
+
+    const document = await generateLoanDocument(application, type);
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${GENERATED_DOCUMENT_TYPES[type]} generated`,
+      data: document
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/applications/:id/documents/:docId/download
+// @desc    Download a document (generated or uploaded) on an application
+// @access  Private (owner or admin)
+router.get('/:id/documents/:docId/download', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+    const document = application?.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (application.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this application'
+      });
+    }
+
+    if (!document.url.startsWith('/uploads/')) {
+      return res.redirect(document.url);
+    }
+
+    const filePath = path.join(uploadsDir, path.basename(document.url));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File is no longer available'
+      });
+    }
+
+    res.download(filePath, document.name);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// OTP destination for loan acceptance, from the contact details on the application
+const acceptanceContact = (application, channel) => (channel === 'phone'
+  ? { phone: application.personalInfo.phone }
+  : { email: application.personalInfo.email.toLowerCase() });
+
+// @route   GET /api/applications/:id/acceptance
+// @desc    Sanctioned terms and documents for the borrower to review, and whether they have been accepted
+// @access  Private (owner or admin)
+router.get('/:id/acceptance', protect, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this application'
+      });
+    }
+
+    const { documents, missing } = getConsentDocuments(application);
+    const { consent } = await findValidConsent(application);
+    const loan = await Loan.findById(application.loanId);
+
+    res.json({
+      success: true,
+      data: {
+        status: application.status,
+        accepted: Boolean(consent),
+        acceptedAt: consent?.acceptedAt,
+        canAccept: application.status === 'Sanctioned' && !missing.length && !consent,
+        missingDocuments: missing,
+        // Accepted terms once there is a consent, otherwise the terms that would be accepted now
+        terms: consent?.terms || (loan && application.sanctionedAmount ? getAcceptanceTerms(application, loan) : null),
+        documents: documents.map(doc => ({
+          _id: doc._id,
+          type: doc.type,
+          name: doc.name,
+          sha256: doc.sha256,
+          uploadedAt: doc.uploadedAt,
+          downloadUrl: `/api/applications/${application._id}/documents/${doc._id}/download`
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/acceptance/otp
+// @desc    Send an OTP to the borrower to confirm acceptance of the sanctioned terms
+// @access  Private (owner)
+// Body: channel ('email' or 'phone', defaults to email)
+router.post('/:id/acceptance/otp', protect, async (req, res) => {
+  try {
+    const channel = req.body.channel || 'email';
+
+    if (!['email', 'phone'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'channel must be email or phone'
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the borrower can accept the loan terms'
+      });
+    }
+
+    if (application.status !== 'Sanctioned') {
+      return res.status(400).json({
+        success: false,
+        message: `Loan terms can only be accepted once sanctioned. Current status: ${application.status}`
+      });
+    }
+
+    const { missing } = getConsentDocuments(application);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Waiting for ${missing.join(' and ')} to be issued`
+      });
+    }
+
+    const contact = acceptanceContact(application, channel);
+    const { otp, record, error } = await requestOtp({
+      ...contact,
+      purpose: 'loan_acceptance',
+      ipAddress: req.ip,
+      userId: req.user._id
+    });
+    if (error) {
+      return sendOtpError(res, error);
+    }
+
+    const result = await deliverOtp(record, otp, 'accepting your loan terms');
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP',
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json(otpSentResponse(`OTP sent to your registered ${channel === 'phone' ? 'phone number' : 'email address'}`, otp, 'loan_acceptance'));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/acceptance
+// @desc    Accept the sanctioned terms with the OTP; stores a tamper-evident consent record
+// @access  Private (owner)
+// Body: otp, channel ('email' or 'phone'), documentHashes (sha256 of the documents the borrower reviewed)
+router.post('/:id/acceptance', protect, async (req, res) => {
+  try {
+    const { otp, documentHashes } = req.body;
+    const channel = req.body.channel || 'email';
+
+    if (!otp || !['email', 'phone'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the OTP and a valid channel'
+      });
+    }
+
+    if (!Array.isArray(documentHashes) || !documentHashes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the hashes of the loan documents you reviewed'
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the borrower can accept the loan terms'
+      });
+    }
+
+    if (application.status !== 'Sanctioned') {
+      return res.status(400).json({
+        success: false,
+        message: `Loan terms can only be accepted once sanctioned. Current status: ${application.status}`
+      });
+    }
+
+    const { documents, missing } = getConsentDocuments(application);
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Waiting for ${missing.join(' and ')} to be issued`
+      });
+    }
+
+    // The borrower must be accepting the documents as they are now
+    if (documents.some(doc => !documentHashes.includes(doc.sha256))) {
+      return res.status(409).json({
+        success: false,
+        message: 'The loan documents have been updated since you opened them. Please review them again.'
+      });
+    }
+
+    const existing = await findValidConsent(application);
+    if (existing.consent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan terms have already been accepted'
+      });
+    }
+
+    const contact = acceptanceContact(application, channel);
+    const { record: otpRecord, error } = await verifyOtp({ ...contact, purpose: 'loan_acceptance', code: otp });
+    if (error) {
+      return sendOtpError(res, error);
+    }
+
+    const loan = await Loan.findById(application.loanId);
+    const acceptedAt = new Date();
+
+    const consent = await createConsentRecord({
+      applicationId: application._id,
+      userId: req.user._id,
+      documents: documents.map(doc => ({
+        type: doc.type,
+        documentId: doc._id,
+        url: doc.url,
+        sha256: doc.sha256
+      })),
+      terms: getAcceptanceTerms(application, loan),
+      otp: {
+        otpId: otpRecord._id,
+        channel,
+        sentTo: contact.email || contact.phone,
+        verifiedAt: acceptedAt
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      acceptedAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loan terms accepted',
+      data: consent
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/applications/:id/consents
+// @desc    Consent records for an application with their integrity check (Admin only)
+// @access  Private/Admin
+router.get('/:id/consents', protect, authorize('admin'), async (req, res) => {
+  try {
+    const consents = await LoanConsent.find({ applicationId: req.params.id }).sort({ acceptedAt: -1 });
+    const data = await Promise.all(consents.map(async consent => ({
+      ...consent.toObject(),
+      integrity: await verifyConsentRecord(consent)
+    })));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// True when this application's amount needs a second admin to confirm approval
+const needsSecondApprover = async (application) => {
+  const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+  const rules = settings?.approvalRules || {};
+  return Boolean(rules.makerCheckerEnabled)
+    && application.loanDetails.loanAmount > (rules.makerCheckerThreshold ?? 100000);
+};
+
+// @route   POST /api/applications/:id/approve
+// @desc    Approve application (Admin only). Above the maker-checker threshold the first
+//          call records a recommendation and a different admin must call it again to confirm.
+// @access  Private/Admin
+router.post('/:id/approve', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const application = await Application.findById(req.params.id)
+      .populate('userId');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const isConfirmation = application.status === 'Pending Approval';
+    if (!application.canTransitionTo('Approved')) {
+      return res.status(400).json({
+        success: false,
+        message: `Application cannot be approved from status ${application.status}`
+      });
+    }
+
+    if (isHeldByAnother(application, req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application is being reviewed by another underwriter'
+      });
+    }
+
+    if (isConfirmation) {
+      if (application.approvalRecommendation?.recommendedBy?.toString() === req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Approval must be confirmed by a different admin than the one who recommended it'
+        });
+      }
+    } else if (await needsSecondApprover(application)) {
+      // Maker step: record the recommendation and hand over to a checker
+      application.transitionTo('Pending Approval', { changedBy: req.user._id, comment: req.body.comment });
+      application.approvalRecommendation = {
+        recommendedBy: req.user._id,
+        recommendedAt: new Date(),
+        comment: req.body.comment
+      };
+      clearAssignment(application);
+      await application.save();
+
+      return res.json({
+        success: true,
+        message: 'Approval recommended. A second admin must confirm it.',
+        data: application
+      });
+    }
+
+    application.transitionTo('Approved', { changedBy: req.user._id, comment: req.body.comment });
+    application.approvedAt = new Date();
+    application.approvedBy = req.user._id;
+    clearAssignment(application);
+
+    // Generate the installment schedule before recording the approval, so an approved loan
+    // always has one
+    const hadSchedule = await RepaymentSchedule.exists({ applicationId: application._id });
+    let schedule;
+    try {
+      schedule = await generateScheduleForApplication(application, { generatedBy: req.user._id });
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve: ${err.message}`
+      });
+    }
+
+    try {
+      await application.save();
+    } catch (err) {
+      if (!hadSchedule) {
+        await RepaymentSchedule.deleteOne({ _id: schedule._id });
+      }
+      throw err;
+    }
+
+    // Send approval email
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #28a745;">Loan Application Approved!</h2>
+        <p style="color: #666;">Dear ${application.personalInfo.fullName},</p>
+        <p style="color: #666;">Congratulations! Your loan application has been approved.</p>
+        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
+        <p style="color: #666;"><strong>Loan Amount:</strong> ₹${application.loanDetails.loanAmount.toLocaleString()}</p>
+        <p style="color: #666;">Our team will contact you shortly to proceed with the disbursement.</p>
+      </div>
+    `;
+
+    await sendEmail({
+      to: application.userId.email,
+      subject: 'Loan Application Approved',
+      html: emailHtml,
+      text: `Your loan application ${application.applicationNumber} has been approved.`
+    });
+
+    res.json({
+      success: true,
+      message: 'Application approved successfully',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/reject
+// @desc    Reject application (Admin only)
+// @access  Private/Admin
+router.post('/:id/reject', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const { rejectionReason } = req.body;
+    const application = await Application.findById(req.params.id)
+      .populate('userId');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.canTransitionTo('Rejected')) {
+      return res.status(400).json({
+        success: false,
+        message: `Application cannot be rejected from status ${application.status}`
+      });
+    }
+
+    if (isHeldByAnother(application, req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application is being reviewed by another underwriter'
+      });
+    }
+
+    application.rejectedAt = new Date();
+    application.rejectionReason = rejectionReason || 'Application did not meet eligibility criteria';
+    application.transitionTo('Rejected', { changedBy: req.user._id, comment: application.rejectionReason });
+    clearAssignment(application);
+    await application.save();
+
+    // Send rejection email
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #dc3545;">Loan Application Status</h2>
+        <p style="color: #666;">Dear ${application.personalInfo.fullName},</p>
+        <p style="color: #666;">We regret to inform you that your loan application has been rejected.</p>
+        <p style="color: #666;"><strong>Application Number:</strong> ${application.applicationNumber}</p>
+        <p style="color: #666;"><strong>Reason:</strong> ${application.rejectionReason}</p>
+        <p style="color: #666;">Please feel free to contact us if you have any questions.</p>
+      </div>
+    `;
+
+    await sendEmail({
+      to: application.userId.email,
+      subject: 'Loan Application Status',
+      html: emailHtml,
+      text: `Your loan application ${application.applicationNumber} has been rejected. Reason: ${application.rejectionReason}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Application rejected',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/sanction
+// @desc    Sanction an approved application (Admin only)
+// @access  Private/Admin
+router.post('/:id/sanction', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.canTransitionTo('Sanctioned')) {
+      return res.status(400).json({
+        success: false,
+        message: `Only approved applications can be sanctioned. Current status: ${application.status}`
+      });
+    }
+
+    const sanctionedAmount = req.body.sanctionedAmount !== undefined
+      ? Number(req.body.sanctionedAmount)
+      : application.loanDetails.loanAmount;
+
+    if (!Number.isFinite(sanctionedAmount) || sanctionedAmount <= 0 || sanctionedAmount > application.loanDetails.loanAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sanctioned amount must be greater than 0 and not exceed the approved loan amount'
+      });
+    }
+
+    application.transitionTo('Sanctioned', { changedBy: req.user._id, comment: req.body.comment });
+    application.sanctionedAmount = sanctionedAmount;
+    application.sanctionedAt = new Date();
+    application.sanctionedBy = req.user._id;
+
+    // Issue the sanction letter and KFS with the sanctioned terms; a failure here
+    // should not block the sanction, the admin can regenerate them later
+    for (const type of ['sanction_letter', 'kfs']) {
+      try {
+        await generateLoanDocument(application, type);
+      } catch (error) {
+        console.error(`Could not generate ${type} for application ${application._id}:`, error.message);
+      }
+    }
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Application sanctioned successfully',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/applications/:id/disburse
+// @desc    Record disbursement of a sanctioned loan (Admin only)
+// @access  Private/Admin
+router.post('/:id/disburse', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const application = await Application.findById(req.params.id)
+      .populate('userId');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    // Borrowers accept the terms on a sanctioned application, and disbursal needs that consent
+    if (application.status !== 'Sanctioned') {
+      return res.status(400).json({
+        success: false,
+        message: `Only sanctioned applications can be disbursed. Current status: ${application.status}`
+      });
+    }
+
+    const { consent, reason } = await findValidConsent(application);
+    if (!consent) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot disburse: ${reason}`
+      });
+    }
+
+    const { referenceNumber, mode, bankAccount } = req.body;
+    const amount = Number(req.body.amount ?? application.sanctionedAmount ?? application.loanDetails.loanAmount);
+    // Fees default to the loan product's charges on the amount actually disbursed
+    let feesDeducted = Number(req.body.feesDeducted || 0);
+    if (req.body.feesDeducted === undefined) {
+      const loan = await Loan.findById(application.loanId).select('fees');
+      feesDeducted = loan ? calculateLoanFees(amount, loan.fees).totalFees : 0;
+    }
+    const netAmount = req.body.netAmount !== undefined ? Number(req.body.netAmount) : amount - feesDeducted;
+    const disbursedAt = req.body.disbursedAt ? new Date(req.body.disbursedAt) : new Date();
+
+    if (!referenceNumber || !String(referenceNumber).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'UTR / reference number is required'
+      });
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Disbursement amount must be greater than 0'
+      });
+    }
+
+    if (consent.terms?.sanctionedAmount && amount > consent.terms.sanctionedAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Disbursement amount cannot exceed the amount the borrower accepted'
+      });
+    }
+
+    if (!Number.isFinite(feesDeducted) || feesDeducted < 0 || !Number.isFinite(netAmount) || netAmount <= 0 || netAmount > amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Net payout must be greater than 0 and cannot exceed the disbursement amount'
+      });
+    }
+
+    if (isNaN(disbursedAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid disbursement date'
+      });
+    }
+
+    const disbursementModes = Application.schema.path('disbursement.mode').enumValues;
+    if (mode !== undefined && !disbursementModes.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${disbursementModes.join(', ')}`
+      });
+    }
+
+    const paidVia = mode || 'IMPS';
+    const reference = String(referenceNumber).trim();
+
+    // Build the schedule before recording the disbursement, so a loan is never marked
+    // Disbursed without one. Installments are counted from the day money actually went out.
+    // The approval-time schedule is kept in memory and put back if the disbursement isn't saved.
+    const previousSchedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+    let schedule;
+    const restorePreviousSchedule = async () => {
+      if (schedule) {
+        await RepaymentSchedule.deleteOne({ _id: schedule._id });
+      }
+      if (previousSchedule && !(await RepaymentSchedule.exists({ _id: previousSchedule._id }))) {
+        await RepaymentSchedule.create(previousSchedule.toObject());
+      }
+    };
+
+    try {
+      schedule = await regenerateScheduleForApplication(application, {
+        startDate: disbursedAt,
+        principal: amount,
+        generatedBy: req.user._id
+      });
+    } catch (err) {
+      await restorePreviousSchedule();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot disburse: ${err.message}`
+      });
+    }
+    schedule.ledger.push({
+      type: 'disbursement',
+      amount,
+      principal: amount,
+      description: `Disbursed via ${paidVia} ref ${reference}`,
+      balanceAfter: amount,
+      postedAt: disbursedAt,
+      postedBy: req.user._id
+    });
+
+    application.transitionTo('Disbursed', {
+      changedBy: req.user._id,
+      comment: `Disbursed via ${paidVia} ref ${reference}`
+    });
+    application.disbursement = {
+      amount,
+      feesDeducted,
+      netAmount,
+      disbursedAt,
+      referenceNumber: reference,
+      mode: paidVia,
+      bankAccount,
+      recordedBy: req.user._id,
+      consentId: consent._id
+    };
+    try {
+      await schedule.save();
+      await application.save();
+    } catch (err) {
+      await restorePreviousSchedule();
+      throw err;
+    }
+
+    await sendDisbursementEmail(application.userId.email, {
+      fullName: application.personalInfo.fullName,
+      applicationNumber: application.applicationNumber,
+      amount,
+      feesDeducted,
+      netAmount,
+      referenceNumber: application.disbursement.referenceNumber,
+      disbursedAt,
+      emi: schedule.emi,
+      firstDueDate: schedule.installments[0]?.dueDate
+    });
+
+    res.json({
+      success: true,
+      message: 'Disbursement recorded successfully',
       data: application
     });
   } catch (error) {
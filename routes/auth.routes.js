@@ -1,9 +1,27 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
 import User from '../models/User.model.js';
-import OTP from '../models/OTP.model.js';
-import { generateToken, generateOTP } from '../utils/generateToken.js';
-import { sendOTPEmail } from '../utils/sendEmail.js';
-import { protect } from '../middleware/auth.middleware.js';
+import {
+  requestOtp,
+  verifyOtp,
+  deliverOtp,
+  sendOtpError,
+  otpSentResponse,
+  devOtpField,
+  OTP_EXPIRY_SECONDS
+} from '../utils/otpService.js';
+import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+import { verifyFirebaseIdToken, FirebaseAuthError } from '../utils/firebaseAuth.js';
+import { getAuthSettings, isLoginMethodEnabled, loginMethodDisabled } from '../utils/authSettings.js';
+import Session from '../models/Session.model.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  listActiveSessions,
+  revokeSessions
+} from '../utils/authSession.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -28,6 +46,18 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    const authSettings = await getAuthSettings();
+    if (!isLoginMethodEnabled(authSettings, 'password')) {
+      return loginMethodDisabled(res, authSettings);
+    }
+    if (!authSettings.selfSignup) {
+      return res.status(403).json({
+        success: false,
+        message: 'New sign-ups are currently closed',
+        code: 'SIGNUP_DISABLED'
+      });
+    }
+
     // Check if user exists
     const userExists = await User.findOne({ $or: [{ email }, { phone }] });
     if (userExists) {
@@ -45,13 +75,13 @@ router.post('/register', async (req, res) => {
       password
     });
 
-    // Generate token
-    const token = generateToken(newUser._id);
+    const { token, refreshToken } = await createSession(newUser, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: newUser._id,
         name: newUser.name,
@@ -92,6 +122,12 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Admins can always use their password so a method switch can't lock them out
+    const authSettings = await getAuthSettings();
+    if (!isLoginMethodEnabled(authSettings, 'password') && user.role !== 'admin') {
+      return loginMethodDisabled(res, authSettings);
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -99,12 +135,13 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -144,23 +181,23 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const authSettings = await getAuthSettings();
+    if (!isLoginMethodEnabled(authSettings, 'password') && user.role !== 'admin') {
+      return loginMethodDisabled(res, authSettings);
+    }
 
-    user.otp = {
-      code: otp,
-      expiresAt,
+    const { otp, record, error } = await requestOtp({
+      email,
       purpose: 'password_reset',
-    };
-    await user.save();
-
-    let emailResult;
-    try {
-      emailResult = await sendOTPEmail(email, otp, 'password reset');
-    } catch (err) {
-      emailResult = { success: false, error: err.message, code: err.code };
+      ipAddress: req.ip,
+      userId: user._id
+    });
+    if (error) {
+      return sendOtpError(res, error);
     }
 
+    const emailResult = await deliverOtp(record, otp, 'password reset');
+
     if (!emailResult.success) {
       const authFail =
         emailResult.code === 'EAUTH' ||
@@ -180,6 +217,7 @@ router.post('/forgot-password', async (req, res) => {
       success: true,
       message:
         'Password reset OTP has been sent to your email. It will expire in 10 minutes.',
+      otpExpiresIn: OTP_EXPIRY_SECONDS
     });
   } catch (error) {
     console.error('[FORGOT_PASSWORD_FATAL]', error);
@@ -206,35 +244,24 @@ router.post('/reset-password', async (req, res) => {
 
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user || !user.otp) {
+    if (!user) {
       return res.status(400).json({
         success: false,
         message: 'Invalid OTP or user not found',
       });
     }
 
-    if (
-      user.otp.purpose !== 'password_reset' ||
-      user.otp.code !== otp
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP',
-      });
+    const { error } = await verifyOtp({ email, purpose: 'password_reset', code: otp });
+    if (error) {
+      return sendOtpError(res, error);
     }
 
-    if (new Date() > user.otp.expiresAt) {
-      return res.status(400).json({
-        success: false,
-        message: 'OTP has expired',
-      });
-    }
-
-    // Set new password and clear OTP
     user.password = newPassword;
-    user.otp = undefined;
     await user.save();
 
+    // Sign out every device that may have been using the old password
+    await revokeSessions({ userId: user._id }, { reason: 'password_reset' });
+
     return res.json({
       success: true,
       message: 'Password has been reset successfully. You can now log in.',
@@ -248,139 +275,95 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Passwordless login must be switched on, and unknown users may only continue if sign-up is open.
+// Sends the error response and returns it, or returns null when the login can go ahead.
+const checkOtpLogin = async (res, user) => {
+  const authSettings = await getAuthSettings();
+
+  if (!isLoginMethodEnabled(authSettings, 'otp') && user?.role !== 'admin') {
+    return loginMethodDisabled(res, authSettings);
+  }
+  if (!user && !authSettings.selfSignup) {
+    return res.status(404).json({
+      success: false,
+      message: 'No account found for this email or phone',
+      code: 'ACCOUNT_NOT_FOUND'
+    });
+  }
+  if (user && !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+  return null;
+};
+
+// Profile fields for an account created by passwordless login: a name plus whichever
+// of email/phone the code was not sent to (both are required and unique on User)
+const signupDetails = async (body, destination) => {
+  const name = body.name?.trim();
+  const email = destination.email || body.email?.toLowerCase().trim();
+  const phone = destination.phone || body.phone?.trim();
+
+  const missing = [!name && 'name', !email && 'email', !phone && 'phone'].filter(Boolean);
+  if (missing.length) {
+    return {
+      error: {
+        message: `Please provide ${missing.join(' and ')} to create your account`,
+        code: 'SIGNUP_DETAILS_REQUIRED',
+        fields: missing
+      }
+    };
+  }
+
+  if (await User.exists({ $or: [{ email }, { phone }] })) {
+    return {
+      error: {
+        message: 'User already exists with this email or phone',
+        code: 'ACCOUNT_EXISTS'
+      }
+    };
+  }
+
+  return { name, email, phone };
+};
+
+// OTP purposes handled by send-otp / verify-otp. Codes for other flows (password reset,
+// repayments, loan acceptance, ...) are only accepted by their own endpoints.
+const AUTH_OTP_PURPOSES = ['verification', 'email', 'phone', 'login', 'application'];
+
+const invalidOtpPurpose = (res) => res.status(400).json({
+  success: false,
+  message: `Purpose must be one of: ${AUTH_OTP_PURPOSES.join(', ')}`
+});
+
 // @route   POST /api/auth/send-otp
 // @desc    Send OTP for email/phone verification or login
 // @access  Public
 router.post('/send-otp', async (req, res) => {
   try {
-    const { email, phone, purpose } = req.body;
-    const otp = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const { email, phone } = req.body;
+    const purpose = req.body.purpose || 'verification';
 
-    // For application purpose, store OTP in temporary OTP collection
-    if (purpose === 'application') {
-      if (email) {
-        // Delete any existing OTP for this email
-        await OTP.deleteMany({ email, purpose: 'application' });
-        
-        // Create new OTP record
-        await OTP.create({
-          email,
-          code: otp,
-          purpose: 'application',
-          expiresAt
-        });
-
-        // Send OTP via email
-        let emailResult;
-        try {
-          console.log(`\n📧 Attempting to send OTP email to: ${email}`);
-          console.log(`   OTP Code: ${otp}`);
-          emailResult = await sendOTPEmail(email, otp, 'application');
-          
-          if (!emailResult.success) {
-            console.error('❌ Email sending failed:', emailResult);
-            console.error('   Error details:', {
-              code: emailResult.code,
-              error: emailResult.error,
-              hint: emailResult.hint,
-              config: emailResult.config
-            });
-          }
-        } catch (err) {
-          console.error('[SMTP] Uncaught sendOTPEmail error:', err);
-          console.error('   Stack:', err.stack);
-          emailResult = { 
-            success: false, 
-            error: err.message, 
-            code: err.code || 'EUNKNOWN',
-            originalError: err.toString()
-          };
-        }
-
-        if (!emailResult.success) {
-          // Build comprehensive error message
-          let errorMessage = emailResult.error || 'Failed to send OTP email.';
-          if (emailResult.hint) {
-            errorMessage += ` ${emailResult.hint}`;
-          }
-          
-          // Log full error for debugging
-          console.error('\n❌ ========================================');
-          console.error('❌ SMTP ERROR - OTP NOT SENT');
-          console.error('❌ ========================================');
-          console.error('   Email:', email);
-          console.error('   Error:', errorMessage);
-          console.error('   Code:', emailResult.code);
-          if (emailResult.config) {
-            console.error('   Config:', emailResult.config);
-          }
-          console.error('❌ ========================================\n');
-          
-          return res.status(500).json({
-            success: false,
-            message: errorMessage,
-            smtpErrorCode: emailResult.code,
-            ...(emailResult.config && { smtpConfig: emailResult.config }),
-            // expose OTP only outside production for debugging
-            ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
-          });
-        }
-
-        console.log(`\n========================================`);
-        console.log(`✅ OTP EMAIL SENT SUCCESSFULLY`);
-        console.log(`📧 Email: ${email}`);
-        console.log(`🔑 OTP: ${otp}`);
-        console.log(`⏰ Expires at: ${expiresAt}`);
-        console.log(`📬 Message ID: ${emailResult.messageId || 'N/A'}`);
-        console.log(`========================================\n`);
-
-        return res.json({
-          success: true,
-          message: 'OTP sent successfully to your email address. Please check your inbox.',
-          otpExpiresIn: 600, // 10 minutes in seconds
-          // In development only, return OTP for testing
-          ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
-        });
-      } else if (phone) {
-        // Delete any existing OTP for this phone
-        await OTP.deleteMany({ phone, purpose: 'application' });
-        
-        // Create new OTP record
-        await OTP.create({
-          phone,
-          code: otp,
-          purpose: 'application',
-          expiresAt
-        });
+    if (!AUTH_OTP_PURPOSES.includes(purpose)) {
+      return invalidOtpPurpose(res);
+    }
 
-        // TODO: Send OTP via SMS
-        console.log(`\n========================================`);
-        console.log(`📱 OTP SENT FOR APPLICATION`);
-        console.log(`Phone: ${phone}`);
-        console.log(`OTP Code: ${otp}`);
-        console.log(`Expires at: ${expiresAt}`);
-        console.log(`========================================\n`);
-
-        return res.json({
-          success: true,
-          message: 'OTP sent successfully',
-          otpExpiresIn: 600, // 10 minutes in seconds
-          // In development, return OTP (remove in production)
-          ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
-        });
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Please provide email or phone for application OTP'
-        });
-      }
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: purpose === 'application'
+          ? 'Please provide email or phone for application OTP'
+          : 'Please provide email or phone'
+      });
     }
 
-    // For other purposes, use existing user-based OTP flow
+    // Application OTPs confirm contact details before an account exists;
+    // everything else is for an existing user (or a login attempt)
     let user;
-    if (email) {
-      user = await User.findOne({ email });
+    if (purpose !== 'application') {
+      user = await User.findOne(email ? { email: email.toLowerCase().trim() } : { phone });
       if (!user && purpose !== 'login') {
         return res.status(404).json({
           success: false,
@@ -389,54 +372,57 @@ router.post('/send-otp', async (req, res) => {
       }
     }
 
-    if (phone && !email) {
-      user = await User.findOne({ phone });
-      if (!user && purpose !== 'login') {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+    if (purpose === 'login') {
+      const loginError = await checkOtpLogin(res, user);
+      if (loginError) return loginError;
     }
 
-    if (user) {
-      user.otp = {
-        code: otp,
-        expiresAt,
-        purpose: purpose || 'verification'
-      };
-      await user.save();
+    const destination = email ? { email } : { phone };
+    const { otp, record, error } = await requestOtp({
+      ...destination,
+      purpose,
+      ipAddress: req.ip,
+      userId: user?._id
+    });
+    if (error) {
+      return sendOtpError(res, error);
     }
 
-    // Send OTP via email if email is provided
-    if (email) {
-      let emailResult;
-      try {
-        emailResult = await sendOTPEmail(email, otp, purpose || 'verification');
-      } catch (err) {
-        emailResult = { success: false, error: err.message, code: err.code };
-      }
+    const result = await deliverOtp(record, otp, purpose);
 
-      if (!emailResult.success) {
-        return res.status(500).json({
+    if (!result.success) {
+      if (phone && !email) {
+        return res.status(502).json({
           success: false,
-          message: 'Failed to send OTP email',
-          error: emailResult.error,
-          code: emailResult.code
+          message: 'Failed to send OTP SMS. Please try again later.',
+          code: result.code
         });
       }
-    }
 
-    // TODO: Send OTP via SMS if phone is provided
-    if (phone && !email) {
-      console.log(`OTP for ${phone}: ${otp}`); // For development - remove in production
+      console.error('[SMTP] OTP email not sent:', { code: result.code, error: result.error });
+
+      let errorMessage = result.error || 'Failed to send OTP email.';
+      if (result.hint) {
+        errorMessage += ` ${result.hint}`;
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: errorMessage,
+        smtpErrorCode: result.code,
+        ...(result.config && { smtpConfig: result.config }),
+        ...devOtpField(otp, purpose)
+      });
     }
 
     return res.json({
-      success: true,
-      message: 'OTP sent successfully',
-      otpExpiresIn: 600, // 10 minutes in seconds
-      ...(process.env.NODE_ENV !== 'production' && { devOtp: otp })
+      ...otpSentResponse(
+        email ? 'OTP sent successfully to your email address. Please check your inbox.' : 'OTP sent successfully',
+        otp,
+        purpose
+      ),
+      // Tells the login screen to ask for sign-up details along with the code
+      ...(purpose === 'login' && { newUser: !user })
     });
   } catch (error) {
     console.error('[SEND_OTP_FATAL]', error);
@@ -448,11 +434,16 @@ router.post('/send-otp', async (req, res) => {
 });
 
 // @route   POST /api/auth/verify-otp
-// @desc    Verify OTP
+// @desc    Verify OTP. Only purpose 'login' signs the user in; the others confirm contact details.
 // @access  Public
 router.post('/verify-otp', async (req, res) => {
   try {
-    const { email, phone, otp, purpose } = req.body;
+    const { email, phone, otp } = req.body;
+    const purpose = req.body.purpose || 'verification';
+
+    if (!AUTH_OTP_PURPOSES.includes(purpose)) {
+      return invalidOtpPurpose(res);
+    }
 
     if (!otp || (!email && !phone)) {
       return res.status(400).json({
@@ -461,50 +452,31 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    // For application purpose, verify from temporary OTP collection
-    if (purpose === 'application') {
-      let query = { purpose: 'application', verified: false };
-      if (email) {
-        query.email = email;
-      } else if (phone) {
-        query.phone = phone;
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Please provide email or phone'
-        });
-      }
-
-      const otpRecord = await OTP.findOne(query);
-
-      if (!otpRecord) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid OTP or OTP not found'
-        });
-      }
+    const destination = email ? { email: email.toLowerCase().trim() } : { phone };
 
-      // Check if OTP is expired
-      if (new Date() > otpRecord.expiresAt) {
-        await OTP.deleteOne({ _id: otpRecord._id });
-        return res.status(400).json({
-          success: false,
-          message: 'OTP has expired'
-        });
-      }
-
-      // Check if OTP matches
-      if (otpRecord.code !== otp) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid OTP'
-        });
+    // Passwordless login: settle whether this is a sign-up before the code is used up
+    let user;
+    let signup;
+    if (purpose === 'login') {
+      user = await User.findOne(destination);
+      const loginError = await checkOtpLogin(res, user);
+      if (loginError) return loginError;
+
+      if (!user) {
+        signup = await signupDetails(req.body, destination);
+        if (signup.error) {
+          return res.status(400).json({ success: false, ...signup.error });
+        }
       }
+    }
 
-      // Mark OTP as verified
-      otpRecord.verified = true;
-      await otpRecord.save();
+    const { error } = await verifyOtp({ ...destination, purpose, code: otp });
+    if (error) {
+      return sendOtpError(res, error);
+    }
 
+    // Application OTPs only confirm the contact details
+    if (purpose === 'application') {
       return res.json({
         success: true,
         message: 'OTP verified successfully',
@@ -513,61 +485,67 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    // For other purposes, use existing user-based OTP flow
-    let query = {};
-    if (email) query.email = email;
-    if (phone) query.phone = phone;
-
-    const user = await User.findOne(query);
-
-    if (!user || !user.otp) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid OTP or OTP not found'
+    if (signup) {
+      user = await User.create({
+        ...signup,
+        // Passwordless accounts get an unusable random password; it can be set via forgot-password
+        password: crypto.randomBytes(32).toString('hex'),
+        isVerified: {
+          email: Boolean(destination.email),
+          phone: Boolean(destination.phone)
+        }
       });
     }
 
-    // Check if OTP is expired
-    if (new Date() > user.otp.expiresAt) {
-      return res.status(400).json({
+    user = user || await User.findOne(destination);
+
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'OTP has expired'
+        message: 'User not found'
       });
     }
 
-    // Check if OTP matches
-    if (user.otp.code !== otp) {
-      return res.status(400).json({
+    if (!user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid OTP'
+        message: 'Account is deactivated'
       });
     }
 
     // Update verification status based on purpose
-    if (purpose === 'email' || (purpose === 'verification' && email)) {
+    if (purpose === 'email' || ((purpose === 'verification' || purpose === 'login') && email)) {
       user.isVerified.email = true;
     }
-    if (purpose === 'phone' || (purpose === 'verification' && phone)) {
+    if (purpose === 'phone' || (purpose === 'verification' && phone) || (purpose === 'login' && destination.phone)) {
       user.isVerified.phone = true;
     }
-
-    // Clear OTP
-    user.otp = undefined;
     await user.save();
 
-    const token = generateToken(user._id);
+    if (purpose !== 'login') {
+      return res.json({
+        success: true,
+        message: 'OTP verified successfully',
+        isVerified: user.isVerified
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'OTP verified successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         phone: user.phone,
+        role: user.role,
         isVerified: user.isVerified
-      }
+      },
+      ...(signup && { newUser: true })
     });
   } catch (error) {
     res.status(500).json({
@@ -578,35 +556,109 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // @route   POST /api/auth/firebase-login
-// @desc    Login with Firebase
+// @desc    Login with a verified Firebase ID token, linking the Firebase uid to the user
 // @access  Public
 router.post('/firebase-login', async (req, res) => {
   try {
-    const { idToken, email, name } = req.body;
+    const { idToken } = req.body;
 
-    if (!idToken || !email) {
+    if (!idToken) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide Firebase ID token and email'
+        message: 'Please provide Firebase ID token'
       });
     }
 
-    // Verify Firebase token (in production, verify with Firebase Admin SDK)
-    // For now, we'll trust the token and find or create user
-    let user = await User.findOne({ email });
+    const authSettings = await getAuthSettings();
+    if (!isLoginMethodEnabled(authSettings, 'firebase')) {
+      return loginMethodDisabled(res, authSettings);
+    }
+
+    let claims;
+    try {
+      claims = await verifyFirebaseIdToken(idToken);
+    } catch (error) {
+      if (error instanceof FirebaseAuthError) {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      throw error;
+    }
+
+    // Identity comes only from the verified claims, never from the request body
+    const email = claims.email?.toLowerCase();
+    let user = await User.findOne({ firebaseUid: claims.uid });
 
     if (!user) {
-      // Create new user if doesn't exist
-      user = await User.create({
-        name: name || email.split('@')[0],
-        email,
-        phone: '', // Firebase users might not have phone
-        password: '', // No password for Firebase users
-        isVerified: {
-          email: true,
-          phone: false
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your Firebase account has no email address'
+        });
+      }
+
+      // Linking to an existing account is only safe once Firebase has verified the email
+      if (!claims.email_verified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address with Firebase before signing in',
+          code: 'FIREBASE_EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      user = await User.findOne({ email });
+
+      if (user) {
+        if (user.firebaseUid && user.firebaseUid !== claims.uid) {
+          return res.status(409).json({
+            success: false,
+            message: 'This account is linked to a different Firebase login'
+          });
         }
-      });
+        user.firebaseUid = claims.uid;
+        user.isVerified.email = true;
+        await user.save();
+      } else {
+        if (!authSettings.selfSignup) {
+          return res.status(403).json({
+            success: false,
+            message: 'New sign-ups are currently closed',
+            code: 'SIGNUP_DISABLED'
+          });
+        }
+
+        // New accounts still need a unique phone number, like /register
+        const phone = claims.phone_number || req.body.phone;
+        if (!phone) {
+          return res.status(400).json({
+            success: false,
+            message: 'Please provide a phone number to finish signing up',
+            code: 'PHONE_REQUIRED'
+          });
+        }
+        if (await User.exists({ phone })) {
+          return res.status(400).json({
+            success: false,
+            message: 'User already exists with this phone'
+          });
+        }
+
+        user = await User.create({
+          name: claims.name || req.body.name || email.split('@')[0],
+          email,
+          phone,
+          firebaseUid: claims.uid,
+          // Firebase users sign in through Firebase; this can be replaced via forgot-password
+          password: crypto.randomBytes(32).toString('hex'),
+          isVerified: {
+            email: true,
+            phone: Boolean(claims.phone_number)
+          }
+        });
+      }
     }
 
     if (!user.isActive) {
@@ -616,12 +668,13 @@ router.post('/firebase-login', async (req, res) => {
       });
     }
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -656,6 +709,181 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide refresh token'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      await revokeSessions({ _id: result.session._id }, { reason: 'deactivated' });
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session (by refresh token, or by the access token sent)
+// @access  Public
+router.post('/logout', optionalProtect, async (req, res) => {
+  try {
+    let sessionId = req.sessionId;
+    if (req.body.refreshToken) {
+      const session = await findSessionByRefreshToken(req.body.refreshToken);
+      sessionId = session?._id;
+    }
+
+    if (sessionId) {
+      await revokeSessions({ _id: sessionId }, { reason: 'logout' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// Whose sessions a request is about: admins may pass ?userId=, everyone else gets their own
+const sessionOwnerId = (req) => (req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user._id);
+
+// @route   GET /api/auth/sessions
+// @desc    Active sessions (devices) for the logged in user, or ?userId= for admins
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    if (req.query.userId && !mongoose.Types.ObjectId.isValid(req.query.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId required'
+      });
+    }
+
+    const sessions = await listActiveSessions(sessionOwnerId(req));
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all other devices (admins: all devices of ?userId=)
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    if (req.query.userId && !mongoose.Types.ObjectId.isValid(req.query.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid userId required'
+      });
+    }
+
+    const userId = sessionOwnerId(req);
+    const filter = { userId };
+    if (userId.toString() === req.user._id.toString()) {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const revoked = await revokeSessions(filter, { revokedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) signed out`,
+      data: { revoked }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one session (own sessions, or any session for admins)
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id) && await Session.findById(req.params.id);
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (session.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to end this session'
+      });
+    }
+
+    await revokeSessions({ _id: session._id }, {
+      reason: session._id.toString() === String(req.sessionId) ? 'logout' : 'revoked',
+      revokedBy: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // sendEmail now re-exported from sendEmail.js (used by application.routes.js)
 
 // (Category management added separately; no change here)
@@ -0,0 +1,127 @@
+import express from 'express';
+import { buildAmortizationSchedule } from '../utils/finance.js';
+
+const router = express.Router();
+
+const MAX_TENURE_MONTHS = 600;
+const MAX_SCENARIOS = 10;
+
+// Validate one principal/rate/tenure combination; returns an error message or null
+const validateInputs = ({ principal, annualRate, tenureMonths }) => {
+  if (!Number.isFinite(principal) || principal <= 0) {
+    return 'Principal must be greater than 0';
+  }
+  if (!Number.isFinite(annualRate) || annualRate < 0 || annualRate > 100) {
+    return 'Interest rate must be between 0 and 100';
+  }
+  if (!Number.isInteger(tenureMonths) || tenureMonths <= 0 || tenureMonths > MAX_TENURE_MONTHS) {
+    return `Tenure must be a whole number of months between 1 and ${MAX_TENURE_MONTHS}`;
+  }
+  return null;
+};
+
+const calculate = ({ principal, annualRate, tenureMonths }, { startDate, includeSchedule }) => {
+  const { emi, installments, totalInterest, totalPayable } = buildAmortizationSchedule({
+    principal,
+    annualRate,
+    tenureMonths,
+    startDate
+  });
+
+  return {
+    principal,
+    annualRate,
+    tenureMonths,
+    emi,
+    totalInterest,
+    totalPayable,
+    ...(includeSchedule && { schedule: installments })
+  };
+};
+
+// @route   GET /api/calculator/emi
+// @desc    EMI, totals and amortization table for a loan
+// @access  Public
+// Query: principal, rate (annual %), tenure (months), startDate (optional),
+//        scenarios (optional, compare several combinations: "rate:tenure[:principal],..."),
+//        schedule (true/false - defaults to true for a single calculation, false when comparing)
+router.get('/emi', async (req, res) => {
+  try {
+    const base = {
+      principal: Number(req.query.principal),
+      annualRate: Number(req.query.rate),
+      tenureMonths: Number(req.query.tenure)
+    };
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date();
+
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate must be a valid date'
+      });
+    }
+
+    if (req.query.scenarios) {
+      const entries = String(req.query.scenarios).split(',').map(entry => entry.trim()).filter(Boolean);
+
+      if (entries.length > MAX_SCENARIOS) {
+        return res.status(400).json({
+          success: false,
+          message: `A maximum of ${MAX_SCENARIOS} scenarios can be compared at once`
+        });
+      }
+
+      const scenarios = entries.map(entry => {
+        const [rate, tenure, principal] = entry.split(':');
+        return {
+          principal: principal !== undefined ? Number(principal) : base.principal,
+          annualRate: Number(rate),
+          tenureMonths: Number(tenure)
+        };
+      });
+
+      for (const [index, scenario] of scenarios.entries()) {
+        const error = validateInputs(scenario);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: `Scenario ${index + 1} (${entries[index]}): ${error}`
+          });
+        }
+      }
+
+      const includeSchedule = req.query.schedule === 'true';
+      const results = scenarios.map(scenario => calculate(scenario, { startDate, includeSchedule }));
+      const cheapest = results.reduce((best, result) => (result.totalInterest < best.totalInterest ? result : best));
+
+      return res.json({
+        success: true,
+        data: {
+          scenarios: results,
+          lowestEmi: Math.min(...results.map(result => result.emi)),
+          lowestTotalInterest: cheapest.totalInterest
+        }
+      });
+    }
+
+    const error = validateInputs(base);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: calculate(base, { startDate, includeSchedule: req.query.schedule !== 'false' })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
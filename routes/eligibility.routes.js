@@ -1,9 +1,28 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Eligibility from '../models/Eligibility.model.js';
-import { protect, authorize } from '../middleware/auth.middleware.js';
+import Loan from '../models/Loan.model.js';
+import Application from '../models/Application.model.js';
+import { protect, authorize, optionalProtect } from '../middleware/auth.middleware.js';
+import { evaluateEligibility } from '../utils/eligibilityRules.js';
+import { checkLoanLimits, quoteLoanDetails } from '../utils/loanPricing.js';
+import {
+  requestOtp,
+  verifyOtp,
+  deliverOtp,
+  sendOtpError,
+  devOtpField,
+  OTP_EXPIRY_SECONDS
+} from '../utils/otpService.js';
 
 const router = express.Router();
 
+// Eligibility employment types and the application values they correspond to
+const APPLICATION_EMPLOYMENT_TYPES = {
+  SALARIED: 'Salaried',
+  'SELF EMPLOYED': 'Self-Employed'
+};
+
 // IMPORTANT: Define specific routes (like /user) before parameterized routes (like /:id)
 // to avoid route matching conflicts
 
@@ -20,83 +39,17 @@ router.get('/my-status', protect, async (req, res) => {
       });
     }
 
-    const userEmail = req.user.email?.toLowerCase().trim() || '';
-    const userName = req.user.name?.trim() || '';
-    
-    console.log('=== Fetching eligibility for user ===');
-    console.log('User email:', userEmail);
-    console.log('User name:', userName);
-    console.log('User ID:', req.user._id);
-    
-    // Simple and reliable search - match by email OR name
-    const searchConditions = [];
-    
-    // Email matching (exact match)
-    if (userEmail) {
-      searchConditions.push({ email: userEmail });
-      searchConditions.push({ personalEmail: userEmail });
-    }
-    
-    // Name matching (case insensitive, partial match)
-    if (userName && userName.length > 2) {
-      const escapedName = userName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      searchConditions.push({
-        name: { $regex: escapedName, $options: 'i' }
-      });
-    }
-    
-    console.log(`Searching with ${searchConditions.length} conditions...`);
-    
-    // Find eligibilities
-    let eligibilities = [];
-    if (searchConditions.length > 0) {
-      eligibilities = await Eligibility.find({ 
-        $or: searchConditions
-      })
-        .populate('loanId', 'name type slug _id')
-        .sort({ createdAt: -1 });
-    }
+    // Only records linked to this account. Anonymous submissions are attached
+    // through the claim flow (POST /api/eligibility/claim/request + /verify).
+    const eligibilities = await Eligibility.find({ userId: req.user._id })
+      .populate('loanId', 'name type slug _id')
+      .sort({ createdAt: -1 });
+
+    // Anonymous checks under the account email that could be claimed
+    const unclaimedCount = req.user.email
+      ? await Eligibility.countDocuments({ email: req.user.email.toLowerCase(), userId: null })
+      : 0;
 
-    console.log('Found eligibilities:', eligibilities.length);
-    
-    // Log detailed information for debugging
-    eligibilities.forEach((elig, idx) => {
-      console.log(`  Eligibility ${idx + 1}:`, {
-        id: elig._id,
-        name: elig.name,
-        loanId: elig.loanId?._id || elig.loanId,
-        loanName: elig.loanId?.name,
-        status: elig.status,
-        email: elig.email,
-        personalEmail: elig.personalEmail,
-        netMonthlyIncome: elig.netMonthlyIncome,
-        employmentType: elig.employmentType,
-        createdAt: elig.createdAt,
-        updatedAt: elig.updatedAt
-      });
-    });
-    
-    // If no eligibilities found, log potential reasons
-    if (eligibilities.length === 0) {
-      console.log('⚠️ No eligibility records found for user.');
-      console.log('  - Searched for email:', userEmail);
-      console.log('  - Searched for name:', userName);
-      console.log('  - Total search conditions:', searchConditions.length);
-      
-      // Let's also check if there are ANY eligibility records in the database
-      const totalEligibilities = await Eligibility.countDocuments();
-      console.log('  - Total eligibility records in database:', totalEligibilities);
-      
-      if (totalEligibilities > 0) {
-        // Get a sample to see what emails/names exist
-        const sample = await Eligibility.find({}).limit(3).select('name email personalEmail');
-        console.log('  - Sample eligibility records:');
-        sample.forEach((s, i) => {
-          console.log(`    ${i + 1}. Name: "${s.name}", Email: "${s.email}", PersonalEmail: "${s.personalEmail}"`);
-        });
-      }
-    }
-    
     // Convert Mongoose documents to plain objects and ensure all fields are included
     const eligibilitiesWithStatus = eligibilities.map(elig => {
       const eligObj = elig.toObject ? elig.toObject() : elig;
@@ -118,6 +71,7 @@ router.get('/my-status', protect, async (req, res) => {
         city: eligObj.city,
         status: eligObj.status || 'pending',
         rejectionReason: eligObj.rejectionReason,
+        ruleResults: eligObj.ruleResults,
         createdAt: eligObj.createdAt,
         updatedAt: eligObj.updatedAt
       };
@@ -130,6 +84,7 @@ router.get('/my-status', protect, async (req, res) => {
       success: true,
       data: eligibilitiesWithStatus,
       count: eligibilitiesWithStatus.length,
+      unclaimedCount,
       message: eligibilitiesWithStatus.length > 0 
         ? `Found ${eligibilitiesWithStatus.length} eligibility record(s)` 
         : 'No eligibility records found'
@@ -143,10 +98,103 @@ router.get('/my-status', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/eligibility/claim/request
+// @desc    Send an OTP to an email so its earlier anonymous eligibility checks can be attached to this account
+// @access  Private
+router.post('/claim/request', protect, async (req, res) => {
+  try {
+    const email = req.body.email?.toLowerCase().trim();
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the email used on the eligibility form'
+      });
+    }
+
+    const unclaimed = await Eligibility.countDocuments({ email, userId: null });
+
+    // Same response whether or not records exist, so emails cannot be probed
+    let otp;
+    if (unclaimed > 0) {
+      const result = await requestOtp({
+        email,
+        purpose: 'eligibility_claim',
+        ipAddress: req.ip,
+        userId: req.user._id
+      });
+      if (result.error) {
+        return sendOtpError(res, result.error);
+      }
+      otp = result.otp;
+
+      const emailResult = await deliverOtp(result.record, otp, 'linking your eligibility checks');
+      if (!emailResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send OTP email',
+          error: emailResult.error,
+          code: emailResult.code
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If there are eligibility checks for this email, an OTP has been sent to it',
+      otpExpiresIn: OTP_EXPIRY_SECONDS,
+      ...devOtpField(otp, 'eligibility_claim')
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/eligibility/claim/verify
+// @desc    Verify the claim OTP and attach unclaimed eligibility checks to this account
+// @access  Private
+router.post('/claim/verify', protect, async (req, res) => {
+  try {
+    const email = req.body.email?.toLowerCase().trim();
+    const { otp } = req.body;
+
+    if (!email || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and OTP'
+      });
+    }
+
+    const { error } = await verifyOtp({ email, purpose: 'eligibility_claim', code: otp });
+    if (error) {
+      return sendOtpError(res, error);
+    }
+
+    const result = await Eligibility.updateMany(
+      { email, userId: null },
+      { userId: req.user._id, claimedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} eligibility check(s) linked to your account`,
+      count: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/eligibility
 // @desc    Submit eligibility check form
-// @access  Public
-router.post('/', async (req, res) => {
+// @access  Public (linked to the account when logged in)
+router.post('/', optionalProtect, async (req, res) => {
   try {
     const {
       name,
@@ -181,10 +229,16 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Run the selected loan's criteria; referred submissions stay pending for an admin
+    const loan = loanId && mongoose.Types.ObjectId.isValid(loanId) ? await Loan.findById(loanId) : null;
+    const { decision, ruleResults } = evaluateEligibility({ dob, employmentType, netMonthlyIncome }, loan);
+    const failedRules = ruleResults.filter(result => result.outcome === 'failed');
+
     // Create eligibility record
     const eligibility = await Eligibility.create({
       name: name.trim(),
       email: email.toLowerCase().trim(),
+      userId: req.user?._id,
       loanId: loanId || null,
       pancard: pancard.toUpperCase().trim(),
       dob: new Date(dob),
@@ -197,12 +251,22 @@ router.post('/', async (req, res) => {
       pinCode: pinCode.trim(),
       state: state?.trim() || null,
       city: city?.trim() || null,
-      status: 'pending'
+      status: decision === 'referred' ? 'pending' : decision,
+      rejectionReason: decision === 'rejected' ? failedRules.map(result => result.message).join('; ') : undefined,
+      autoDecision: decision,
+      ruleResults,
+      ...(decision !== 'referred' && { decisionSource: 'auto', decidedAt: new Date() })
     });
 
+    const messages = {
+      approved: 'You are eligible for this loan',
+      rejected: 'You do not meet the eligibility criteria for this loan',
+      referred: 'Eligibility check submitted for review'
+    };
+
     res.status(201).json({
       success: true,
-      message: 'Eligibility check submitted successfully',
+      message: messages[decision],
       data: eligibility
     });
   } catch (error) {
@@ -219,9 +283,15 @@ router.post('/', async (req, res) => {
 // @access  Private/Admin
 router.get('/', protect, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, email, loanId } = req.query;
+    const { page = 1, limit = 10, email, loanId, status, autoDecision } = req.query;
     const query = {};
 
+    if (status) {
+      query.status = status;
+    }
+    if (autoDecision) {
+      query.autoDecision = autoDecision;
+    }
     if (email) {
       query.email = email.toLowerCase().trim();
     }
@@ -256,6 +326,274 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   GET /api/eligibility/reports/conversion
+// @desc    Eligibility to application conversion report, overall and per loan (admin only)
+// @access  Private/Admin
+// Optional query: from, to (eligibility submission date range)
+router.get('/reports/conversion', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const match = {};
+
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const rows = await Eligibility.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$loanId',
+          total: { $sum: 1 },
+          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+          converted: { $sum: { $cond: [{ $ifNull: ['$convertedApplicationId', false] }, 1, 0] } },
+          convertedIds: { $push: '$convertedApplicationId' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'applications',
+          let: { ids: '$convertedIds' },
+          pipeline: [
+            { $match: { $expr: { $in: ['$_id', '$$ids'] }, status: { $ne: 'Draft' } } },
+            { $project: { status: 1 } }
+          ],
+          as: 'submittedApplications'
+        }
+      },
+      { $lookup: { from: 'loans', localField: '_id', foreignField: '_id', as: 'loan' } },
+      { $unwind: { path: '$loan', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+    const summarize = (row) => {
+      const submitted = row.submittedApplications.length;
+      const disbursed = row.submittedApplications.filter(app => ['Disbursed', 'Closed'].includes(app.status)).length;
+      return {
+        total: row.total,
+        approved: row.approved,
+        rejected: row.rejected,
+        pending: row.pending,
+        converted: row.converted,
+        submitted,
+        disbursed,
+        approvalRate: rate(row.approved, row.total),
+        conversionRate: rate(row.converted, row.approved), // approved checks turned into applications
+        submissionRate: rate(submitted, row.converted) // drafts that were actually submitted
+      };
+    };
+
+    const totals = rows.reduce((acc, row) => ({
+      total: acc.total + row.total,
+      approved: acc.approved + row.approved,
+      rejected: acc.rejected + row.rejected,
+      pending: acc.pending + row.pending,
+      converted: acc.converted + row.converted,
+      submittedApplications: [...acc.submittedApplications, ...row.submittedApplications]
+    }), { total: 0, approved: 0, rejected: 0, pending: 0, converted: 0, submittedApplications: [] });
+
+    res.json({
+      success: true,
+      data: {
+        overall: summarize(totals),
+        byLoan: rows
+          .map(row => ({
+            loanId: row._id,
+            loanName: row.loan?.name || 'No loan selected',
+            ...summarize(row)
+          }))
+          .sort((a, b) => b.total - a.total)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/eligibility/:id/convert
+// @desc    Turn an approved eligibility check into a pre-filled draft loan application
+// @access  Private
+router.post('/:id/convert', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eligibility check not found'
+      });
+    }
+
+    const eligibility = await Eligibility.findById(req.params.id);
+
+    if (!eligibility || eligibility.userId?.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Eligibility check not found'
+      });
+    }
+
+    if (eligibility.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved eligibility checks can be converted into an application'
+      });
+    }
+
+    if (eligibility.convertedApplicationId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This eligibility check has already been converted',
+        data: { applicationId: eligibility.convertedApplicationId }
+      });
+    }
+
+    const loanId = req.body.loanId || eligibility.loanId;
+    if (!loanId || !mongoose.Types.ObjectId.isValid(loanId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a loan'
+      });
+    }
+
+    const loan = await Loan.findById(loanId);
+    if (!loan || !loan.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    // The check was approved against its own loan; any other loan's criteria must pass too
+    if (!eligibility.loanId || eligibility.loanId.toString() !== loan._id.toString()) {
+      const { decision, ruleResults } = evaluateEligibility({
+        dob: eligibility.dob,
+        employmentType: eligibility.employmentType,
+        netMonthlyIncome: eligibility.netMonthlyIncome
+      }, loan);
+      if (decision !== 'approved') {
+        const reasons = ruleResults.filter(result => result.outcome !== 'passed').map(result => result.message);
+        return res.status(400).json({
+          success: false,
+          message: `This eligibility check does not qualify for ${loan.name}: ${reasons.join('; ')}`
+        });
+      }
+    }
+
+    const employmentType = APPLICATION_EMPLOYMENT_TYPES[eligibility.employmentType];
+    if (!employmentType) {
+      return res.status(400).json({
+        success: false,
+        message: `Employment type ${eligibility.employmentType} cannot be converted into an application`
+      });
+    }
+
+    if (!req.user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a phone number to your profile before applying'
+      });
+    }
+
+    const isPayday = loan.repaymentType === 'payday';
+    const loanAmount = Number(req.body.loanAmount ?? loan.minLoanAmount);
+    const loanTenure = isPayday ? 1 : Number(req.body.loanTenure ?? loan.minTenure);
+
+    const limitError = checkLoanLimits(loan, { loanAmount, loanTenure });
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    // Indicative until the draft is submitted, when the loan is priced again
+    const loanDetails = quoteLoanDetails(loan, {
+      loanAmount,
+      loanTenure,
+      nextSalaryDate: isPayday ? eligibility.nextSalaryDate : undefined
+    });
+
+    // Claim the check before creating the draft so parallel requests can't both convert it
+    const applicationId = new mongoose.Types.ObjectId();
+    const claimed = await Eligibility.findOneAndUpdate(
+      { _id: eligibility._id, convertedApplicationId: null },
+      { $set: { convertedApplicationId: applicationId, convertedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      const current = await Eligibility.findById(eligibility._id).select('convertedApplicationId');
+      return res.status(409).json({
+        success: false,
+        message: 'This eligibility check has already been converted',
+        data: { applicationId: current?.convertedApplicationId }
+      });
+    }
+
+    let application;
+    try {
+      application = await Application.create({
+        _id: applicationId,
+        userId: req.user._id,
+        loanId: loan._id,
+        loanType: loan.type,
+        personalInfo: {
+          fullName: eligibility.name,
+          email: eligibility.email,
+          phone: req.user.phone,
+          dateOfBirth: eligibility.dob,
+          gender: eligibility.gender,
+          pan: eligibility.pancard
+        },
+        address: {
+          current: {
+            city: eligibility.city || undefined,
+            state: eligibility.state || undefined,
+            pincode: eligibility.pinCode
+          }
+        },
+        employmentInfo: {
+          employmentType,
+          companyName: eligibility.companyName || undefined,
+          monthlyIncome: eligibility.netMonthlyIncome
+        },
+        loanDetails,
+        status: 'Draft',
+        statusHistory: [{ status: 'Draft', changedBy: req.user._id, comment: 'Created from eligibility check' }]
+      });
+    } catch (error) {
+      // Release the claim so the check can be converted again
+      await Eligibility.updateOne(
+        { _id: eligibility._id, convertedApplicationId: applicationId },
+        { $unset: { convertedApplicationId: 1, convertedAt: 1 } }
+      );
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: `Validation failed: ${Object.values(error.errors).map(e => e.message).join(', ')}`
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft application created. Review it, add documents and submit.',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/eligibility/:id/approve
 // @desc    Approve eligibility check
 // @access  Private/Admin
@@ -272,6 +610,9 @@ router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
       eligibilityId,
       { 
         status: 'approved',
+        decisionSource: 'manual',
+        decidedBy: req.user._id,
+        decidedAt: new Date(),
         updatedAt: new Date()
       },
       { 
@@ -329,6 +670,9 @@ router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
       { 
         status: 'rejected',
         rejectionReason: rejectionReason || null,
+        decisionSource: 'manual',
+        decidedBy: req.user._id,
+        decidedAt: new Date(),
         updatedAt: new Date()
       },
       { 
@@ -365,7 +709,8 @@ router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
 router.get('/:id', protect, authorize('admin'), async (req, res) => {
   try {
     const eligibility = await Eligibility.findById(req.params.id)
-      .populate('loanId', 'name slug');
+      .populate('loanId', 'name slug eligibilityCriteria')
+      .populate('decidedBy', 'name email');
 
     if (!eligibility) {
       return res.status(404).json({
@@ -2,6 +2,7 @@ import express from 'express';
 import Loan from '../models/Loan.model.js';
 import { protect } from '../middleware/auth.middleware.js';
 import { upload } from '../utils/upload.js';
+import { buildLoanOffer } from '../utils/loanOffer.js';
 import multer from 'multer';
 
 const router = express.Router();
@@ -77,6 +78,52 @@ router.get('/:slug', async (req, res) => {
   }
 });
 
+// @route   POST /api/loans/:slug/offer
+// @desc    Estimate the maximum loan amount and tenure options for a borrower's income
+// @access  Public
+router.post('/:slug/offer', async (req, res) => {
+  try {
+    const netMonthlyIncome = Number(req.body.netMonthlyIncome);
+    const existingEmis = Number(req.body.existingEmis || 0);
+    const { employmentType, nextSalaryDate } = req.body;
+
+    if (!Number.isFinite(netMonthlyIncome) || netMonthlyIncome <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Net monthly income must be greater than 0'
+      });
+    }
+
+    if (!Number.isFinite(existingEmis) || existingEmis < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Existing EMIs must be 0 or more'
+      });
+    }
+
+    const loan = await Loan.findOne({ slug: req.params.slug, isActive: true });
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        loan: { name: loan.name, slug: loan.slug, repaymentType: loan.repaymentType },
+        ...buildLoanOffer(loan, { netMonthlyIncome, existingEmis, employmentType, nextSalaryDate })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/loans/type/:type
 // @desc    Get loans by type
 // @access  Public
@@ -375,6 +422,35 @@ router.post('/', protect, uploadWithErrorHandling(upload.any()), async (req, res
       finalLoanData.category = loanData.category;
     }
 
+    // Repayment structure and product settings (nested objects arrive as JSON strings from FormData)
+    ['paydayTerms', 'foreclosure', 'eligibilityCriteria', 'fees'].forEach(field => {
+      if (typeof loanData[field] === 'string') {
+        try { loanData[field] = JSON.parse(loanData[field]); } catch { loanData[field] = undefined; }
+      }
+    });
+    if (loanData.eligibilityCriteria && typeof loanData.eligibilityCriteria === 'object') {
+      finalLoanData.eligibilityCriteria = loanData.eligibilityCriteria;
+    }
+    if (loanData.fees && typeof loanData.fees === 'object') {
+      finalLoanData.fees = loanData.fees;
+    }
+    if (loanData.repaymentType) {
+      finalLoanData.repaymentType = loanData.repaymentType;
+    }
+    if (loanData.paydayTerms && typeof loanData.paydayTerms === 'object') {
+      finalLoanData.paydayTerms = loanData.paydayTerms;
+    }
+    if (loanData.foreclosure && typeof loanData.foreclosure === 'object') {
+      finalLoanData.foreclosure = loanData.foreclosure;
+    }
+    if (finalLoanData.paydayTerms
+      && Number(finalLoanData.paydayTerms.minDays) > Number(finalLoanData.paydayTerms.maxDays)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payday minimum days cannot exceed maximum days'
+      });
+    }
+
     // Final check - ensure no undefined or null values for required fields
     if (!finalLoanData.name || !finalLoanData.slug || !finalLoanData.type || !finalLoanData.description) {
       return res.status(400).json({
@@ -497,6 +573,23 @@ router.put('/:id', protect, uploadWithErrorHandling(upload.single('file')), asyn
         }
       }
     }
+    ['paydayTerms', 'foreclosure', 'eligibilityCriteria', 'fees'].forEach(field => {
+      if (typeof loanData[field] === 'string') {
+        try { loanData[field] = JSON.parse(loanData[field]); } catch { delete loanData[field]; }
+      }
+    });
+    if (loanData.paydayTerms && typeof loanData.paydayTerms === 'object') {
+      // A partial update keeps the other bound, so the pair is checked and saved together
+      loanData.paydayTerms = { ...existingLoan.toObject().paydayTerms, ...loanData.paydayTerms };
+      const minDays = Number(loanData.paydayTerms.minDays);
+      const maxDays = Number(loanData.paydayTerms.maxDays);
+      if (minDays > maxDays) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payday minimum days cannot exceed maximum days'
+        });
+      }
+    }
 
     // Convert string numbers to actual numbers (FormData sends everything as strings)
     if (typeof loanData.minLoanAmount === 'string') {
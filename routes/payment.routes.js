@@ -0,0 +1,310 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Application from '../models/Application.model.js';
+import Payment from '../models/Payment.model.js';
+import PaymentEvent from '../models/PaymentEvent.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  getPaymentProvider,
+  hasPaymentProvider,
+  createPaymentOrder,
+  capturePayment,
+  refundPayment,
+  processWebhook
+} from '../utils/payments/index.js';
+
+const router = express.Router();
+
+const PROCESSING_FEE_STATUSES = ['Approved', 'Sanctioned'];
+
+// @route   POST /api/payments/orders
+// @desc    Create a gateway order for an application's processing fee
+// @access  Private
+// Repayment orders are created through POST /api/repayments/pay
+router.post('/orders', protect, async (req, res) => {
+  try {
+    const { applicationId, purpose = 'processing_fee' } = req.body;
+
+    if (purpose !== 'processing_fee') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use /api/repayments/pay to pay loan installments'
+      });
+    }
+
+    if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid applicationId required'
+      });
+    }
+
+    const application = await Application.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && application.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this application'
+      });
+    }
+
+    // Fees are collected between approval and disbursal, for the amount quoted on the application
+    if (!PROCESSING_FEE_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `No processing fee is due for a ${application.status} application`
+      });
+    }
+
+    const amount = Number(application.loanDetails?.totalFees ?? application.loanDetails?.processingFee);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No processing fee is due for this application'
+      });
+    }
+
+    const alreadyPaid = await Payment.exists({
+      applicationId: application._id,
+      purpose: 'processing_fee',
+      status: { $in: ['Processing', 'Success', 'NeedsReconciliation'] }
+    });
+    if (alreadyPaid) {
+      return res.status(400).json({
+        success: false,
+        message: 'The processing fee for this application has already been paid'
+      });
+    }
+
+    const payment = await Payment.create({
+      applicationId: application._id,
+      userId: application.userId,
+      amount,
+      purpose,
+      channel: 'online'
+    });
+    const order = await createPaymentOrder(payment);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment,
+        order
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/verify
+// @desc    Verify the signed callback returned by the gateway checkout
+// @access  Public
+router.post('/verify', async (req, res) => {
+  try {
+    const { orderId, paymentId, signature } = req.body;
+
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide orderId, paymentId and signature'
+      });
+    }
+
+    const payment = await Payment.findOne({ providerOrderId: orderId });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!hasPaymentProvider(payment.provider)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payments through this provider cannot be verified'
+      });
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    if (!provider.verifyPaymentSignature({ orderId, paymentId, signature })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment signature'
+      });
+    }
+
+    const result = await capturePayment(payment, { providerPaymentId: paymentId });
+
+    res.json({
+      success: true,
+      message: result.alreadyProcessed ? 'Payment already processed' : 'Payment successful',
+      data: result.payment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive gateway webhooks
+// @access  Public (signature verified)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    if (!hasPaymentProvider(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment provider'
+      });
+    }
+
+    const rawBody = req.rawBody || JSON.stringify(req.body || {});
+    const event = await processWebhook(req.params.provider, rawBody, req.headers);
+
+    if (event.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: event.error
+      });
+    }
+
+    res.json({
+      success: true,
+      status: event.status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/mock/checkout/:orderId
+// @desc    Simulate completing checkout with the mock provider (outcome: success | failure | delayed)
+// @access  Public (disabled in production)
+router.post('/mock/checkout/:orderId', async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found'
+      });
+    }
+
+    const payment = await Payment.findOne({ provider: 'mock', providerOrderId: req.params.orderId });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { outcome = 'success', delayMs } = req.body;
+    if (!['success', 'failure', 'delayed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outcome must be success, failure or delayed'
+      });
+    }
+
+    const provider = getPaymentProvider('mock');
+    const result = provider.simulateCheckout(
+      { orderId: payment.providerOrderId, amount: payment.amount, outcome, delayMs },
+      (rawBody, headers) => processWebhook('mock', rawBody, headers)
+        .catch(err => console.error('Mock webhook delivery failed:', err.message))
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/refund
+// @desc    Refund a successful online payment, or one that could not be reconciled (Admin only)
+// @access  Private/Admin
+router.post('/:id/refund', protect, authorize('admin'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { amount, reason } = req.body;
+    const updated = await refundPayment(payment, { amount, reason, requestedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Refund initiated',
+      data: updated
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/payments/events
+// @desc    List raw gateway events for reconciliation (Admin only)
+// @access  Private/Admin
+router.get('/events', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { provider, orderId, status, page = 1, limit = 50 } = req.query;
+    const query = {};
+
+    if (provider) query.provider = provider;
+    if (orderId) query.providerOrderId = orderId;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const events = await PaymentEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PaymentEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,282 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Application from '../models/Application.model.js';
+import User from '../models/User.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  QUEUE_STATUSES,
+  unassignedFilter,
+  claimNextApplication,
+  assignApplication,
+  clearAssignment,
+  getLeaseDurationMs
+} from '../utils/reviewQueue.js';
+
+const router = express.Router();
+
+// All queue routes are for admins (underwriters)
+router.use(protect);
+router.use(authorize('admin'));
+
+const HOUR_MS = 60 * 60 * 1000;
+const ageInHours = (date, now) => (date ? Math.round(((now - date) / HOUR_MS) * 10) / 10 : null);
+
+// @route   GET /api/queue/mine
+// @desc    Applications currently held by the logged in reviewer
+// @access  Private/Admin
+router.get('/mine', async (req, res) => {
+  try {
+    const applications = await Application.find({
+      'assignment.reviewer': req.user._id,
+      'assignment.leaseExpiresAt': { $gt: new Date() }
+    })
+      .populate('userId', 'name email phone')
+      .populate('loanId', 'name type')
+      .sort({ 'assignment.claimedAt': 1 });
+
+    res.json({
+      success: true,
+      count: applications.length,
+      data: applications
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/queue/approvals
+// @desc    Applications waiting for a second approver, excluding ones you recommended
+// @access  Private/Admin
+router.get('/approvals', async (req, res) => {
+  try {
+    const applications = await Application.find({
+      status: 'Pending Approval',
+      'approvalRecommendation.recommendedBy': { $ne: req.user._id }
+    })
+      .populate('userId', 'name email phone')
+      .populate('loanId', 'name type')
+      .populate('approvalRecommendation.recommendedBy', 'name email')
+      .sort({ 'approvalRecommendation.recommendedAt': 1 });
+
+    res.json({
+      success: true,
+      count: applications.length,
+      data: applications
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/queue/claim
+// @desc    Claim the oldest unassigned application in the queue
+// @access  Private/Admin
+router.post('/claim', async (req, res) => {
+  try {
+    const application = await claimNextApplication(req.user._id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'No applications waiting for review'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Application ${application.applicationNumber} claimed`,
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/queue/:id/renew
+// @desc    Extend the lease on an application you hold
+// @access  Private/Admin
+router.post('/:id/renew', async (req, res) => {
+  try {
+    const now = new Date();
+    const application = await Application.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        'assignment.reviewer': req.user._id,
+        'assignment.leaseExpiresAt': { $gt: now }
+      },
+      { $set: { 'assignment.leaseExpiresAt': new Date(now.getTime() + getLeaseDurationMs()) } },
+      { new: true }
+    );
+
+    if (!application) {
+      return res.status(409).json({
+        success: false,
+        message: 'You do not hold this application or your lease has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lease renewed',
+      data: application.assignment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/queue/:id/release
+// @desc    Put an application you hold back in the queue
+// @access  Private/Admin
+router.post('/:id/release', async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.assignment?.reviewer?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only release applications assigned to you'
+      });
+    }
+
+    clearAssignment(application);
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Application released back to the queue',
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/queue/:id/reassign
+// @desc    Assign an application to another reviewer
+// @access  Private/Admin
+router.post('/:id/reassign', async (req, res) => {
+  try {
+    const { reviewerId } = req.body;
+
+    if (!reviewerId || !mongoose.Types.ObjectId.isValid(reviewerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid reviewerId required'
+      });
+    }
+
+    const reviewer = await User.findById(reviewerId);
+    if (!reviewer || reviewer.role !== 'admin' || !reviewer.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reviewer must be an active admin'
+      });
+    }
+
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!QUEUE_STATUSES.includes(application.status) && application.status !== 'Documents Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Applications in status ${application.status} are not in review`
+      });
+    }
+
+    assignApplication(application, reviewer._id, { assignedBy: req.user._id });
+    await application.save();
+
+    res.json({
+      success: true,
+      message: `Application assigned to ${reviewer.name}`,
+      data: application
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/queue/summary
+// @desc    Supervisor view: queue depth and age, overall and per reviewer
+// @access  Private/Admin
+router.get('/summary', async (req, res) => {
+  try {
+    const now = new Date();
+
+    const [unassigned] = await Application.aggregate([
+      { $match: { status: { $in: QUEUE_STATUSES }, ...unassignedFilter(now) } },
+      { $group: { _id: null, count: { $sum: 1 }, oldestSubmittedAt: { $min: '$createdAt' } } }
+    ]);
+
+    const perReviewer = await Application.aggregate([
+      { $match: { 'assignment.reviewer': { $ne: null }, 'assignment.leaseExpiresAt': { $gt: now } } },
+      {
+        $group: {
+          _id: '$assignment.reviewer',
+          count: { $sum: 1 },
+          oldestClaimedAt: { $min: '$assignment.claimedAt' },
+          oldestSubmittedAt: { $min: '$createdAt' }
+        }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'reviewer' } },
+      { $unwind: { path: '$reviewer', preserveNullAndEmptyArrays: true } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        unassigned: {
+          count: unassigned?.count || 0,
+          oldestAgeHours: ageInHours(unassigned?.oldestSubmittedAt, now)
+        },
+        reviewers: perReviewer.map(row => ({
+          reviewerId: row._id,
+          name: row.reviewer?.name,
+          email: row.reviewer?.email,
+          count: row.count,
+          oldestClaimAgeHours: ageInHours(row.oldestClaimedAt, now),
+          oldestApplicationAgeHours: ageInHours(row.oldestSubmittedAt, now)
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
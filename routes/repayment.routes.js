@@ -0,0 +1,500 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Application from '../models/Application.model.js';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import Payment from '../models/Payment.model.js';
+import User from '../models/User.model.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { isSessionActive } from '../utils/authSession.js';
+import { requestOtp, verifyOtp, deliverOtp, sendOtpError, otpSentResponse } from '../utils/otpService.js';
+import { getOutstandingDues, postPaymentToSchedule } from '../utils/repaymentSchedule.js';
+import { createPaymentOrder, postCapturedPayment } from '../utils/payments/index.js';
+
+const router = express.Router();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_here';
+const REPAYMENT_TOKEN_EXPIRY = '30m';
+
+const maskEmail = (email = '') => {
+  const [local, domain] = email.split('@');
+  if (!domain) return email;
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+};
+
+// Accepts either a regular login token or a short-lived repayment token issued by /verify.
+// Sets req.repaymentApplication to the application the caller may act on.
+const repaymentAccess = async (req, res, next) => {
+  try {
+    let token;
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please verify again.'
+      });
+    }
+
+    let application;
+    if (decoded.scope === 'repayment') {
+      application = await Application.findById(decoded.applicationId);
+    } else {
+      const user = await isSessionActive(decoded.sid, decoded.id) && await User.findById(decoded.id).select('-password');
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route'
+        });
+      }
+      req.user = user;
+
+      const applicationId = req.query.applicationId || req.body.applicationId;
+      if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid applicationId required'
+        });
+      }
+      application = await Application.findById(applicationId);
+      if (application && user.role !== 'admin' && application.userId.toString() !== user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this loan'
+        });
+      }
+    }
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+    }
+
+    req.repaymentApplication = application;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+};
+
+// @route   POST /api/repayments/lookup
+// @desc    Send OTP to the email registered on a loan
+// @access  Public
+router.post('/lookup', async (req, res) => {
+  try {
+    const applicationNumber = req.body.applicationNumber?.trim().toUpperCase();
+
+    if (!applicationNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide application number'
+      });
+    }
+
+    const application = await Application.findOne({ applicationNumber });
+    if (!application || !['Disbursed', 'Closed'].includes(application.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active loan found for this application number'
+      });
+    }
+
+    const email = application.personalInfo.email.toLowerCase();
+    const { otp, record, error } = await requestOtp({
+      email,
+      purpose: 'repayment',
+      ipAddress: req.ip,
+      userId: application.userId
+    });
+    if (error) {
+      return sendOtpError(res, error);
+    }
+
+    const emailResult = await deliverOtp(record, otp, 'loan repayment');
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send OTP email',
+        error: emailResult.error,
+        code: emailResult.code
+      });
+    }
+
+    res.json(otpSentResponse(`OTP sent to ${maskEmail(email)}`, otp, 'repayment'));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/repayments/verify
+// @desc    Verify OTP and return outstanding dues with a repayment token
+// @access  Public
+router.post('/verify', async (req, res) => {
+  try {
+    const applicationNumber = req.body.applicationNumber?.trim().toUpperCase();
+    const { otp } = req.body;
+
+    if (!applicationNumber || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide application number and OTP'
+      });
+    }
+
+    const application = await Application.findOne({ applicationNumber });
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active loan found for this application number'
+      });
+    }
+
+    const { error } = await verifyOtp({
+      email: application.personalInfo.email,
+      purpose: 'repayment',
+      code: otp
+    });
+    if (error) {
+      return sendOtpError(res, error);
+    }
+
+    const schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repayment schedule not found for this loan'
+      });
+    }
+
+    const token = jwt.sign(
+      { applicationId: application._id, scope: 'repayment' },
+      JWT_SECRET,
+      { expiresIn: REPAYMENT_TOKEN_EXPIRY }
+    );
+
+    res.json({
+      success: true,
+      token,
+      data: {
+        applicationId: application._id,
+        applicationNumber: application.applicationNumber,
+        borrowerName: application.personalInfo.fullName,
+        dues: getOutstandingDues(schedule)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/repayments/dues
+// @desc    Get outstanding dues for a loan
+// @access  Private (login or repayment token)
+router.get('/dues', repaymentAccess, async (req, res) => {
+  try {
+    const application = req.repaymentApplication;
+    const schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repayment schedule not found for this loan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        applicationId: application._id,
+        applicationNumber: application.applicationNumber,
+        dues: getOutstandingDues(schedule)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/repayments/pay
+// @desc    Start a repayment against a loan
+// @access  Private (login or repayment token)
+router.post('/pay', repaymentAccess, async (req, res) => {
+  try {
+    const application = req.repaymentApplication;
+    if (application.status !== 'Disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Repayments can only be made on disbursed loans'
+      });
+    }
+
+    const schedule = await RepaymentSchedule.findOne({ applicationId: application._id });
+
+    if (!schedule || schedule.status === 'Closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This loan has no outstanding dues'
+      });
+    }
+
+    const dues = getOutstandingDues(schedule);
+    const amount = req.body.amount !== undefined
+      ? Number(req.body.amount)
+      : (dues.amountDue || dues.nextInstallment?.amount);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount must be greater than 0'
+      });
+    }
+
+    if (amount > dues.totalOutstanding) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment amount cannot exceed the total outstanding of ₹${dues.totalOutstanding.toLocaleString()}`
+      });
+    }
+
+    const payment = await Payment.create({
+      applicationId: application._id,
+      userId: application.userId,
+      amount,
+      channel: 'online',
+      status: 'Initiated'
+    });
+    const order = await createPaymentOrder(payment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment initiated',
+      data: {
+        payment,
+        order
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/repayments/receipts
+// @desc    List payment receipts for a loan
+// @access  Private (login or repayment token)
+router.get('/receipts', repaymentAccess, async (req, res) => {
+  try {
+    const receipts = await Payment.find({
+      applicationId: req.repaymentApplication._id,
+      status: 'Success'
+    }).sort({ paidAt: -1 });
+
+    res.json({
+      success: true,
+      count: receipts.length,
+      data: receipts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/repayments/receipts/:receiptNumber
+// @desc    Get a single payment receipt
+// @access  Private (login or repayment token)
+router.get('/receipts/:receiptNumber', repaymentAccess, async (req, res) => {
+  try {
+    const receipt = await Payment.findOne({
+      applicationId: req.repaymentApplication._id,
+      receiptNumber: req.params.receiptNumber.toUpperCase(),
+      status: 'Success'
+    }).populate('applicationId', 'applicationNumber personalInfo.fullName loanType');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/repayments/offline
+// @desc    Record a repayment collected outside the website (Admin only)
+// @access  Private/Admin
+router.post('/offline', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { applicationId, referenceNumber, mode, paidAt } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!applicationId || !mongoose.Types.ObjectId.isValid(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid applicationId required'
+      });
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount must be greater than 0'
+      });
+    }
+
+    const application = await Application.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    // A schedule exists from approval, but nothing is owed until the loan is disbursed
+    if (application.status !== 'Disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Repayments can only be recorded on disbursed loans'
+      });
+    }
+
+    const payment = new Payment({
+      applicationId: application._id,
+      userId: application.userId,
+      amount,
+      channel: 'offline',
+      mode,
+      referenceNumber,
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      recordedBy: req.user._id
+    });
+
+    const result = await postPaymentToSchedule(payment, { postedBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: result.payment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/repayments/:paymentId/confirm
+// @desc    Confirm an initiated payment manually, e.g. when the gateway webhook never arrived,
+//          or post a collected payment that needs reconciliation again (Admin only)
+// @access  Private/Admin
+router.post('/:paymentId/confirm', protect, authorize('admin'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!['Initiated', 'NeedsReconciliation'].includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already ${payment.status.toLowerCase()}`
+      });
+    }
+
+    const application = await Application.findById(payment.applicationId).select('status');
+    if (application?.status !== 'Disbursed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Repayments can only be posted to disbursed loans'
+      });
+    }
+
+    // Claim it so a late webhook or a second confirm can't post it twice
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: payment.status },
+      { status: 'Processing' },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment is being processed. Please refresh and try again.'
+      });
+    }
+
+    if (req.body.referenceNumber) {
+      claimed.referenceNumber = req.body.referenceNumber;
+    }
+    claimed.recordedBy = req.user._id;
+    claimed.paidAt = claimed.paidAt || new Date();
+
+    let result;
+    try {
+      result = await postCapturedPayment(claimed, { postedBy: req.user._id });
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: claimed._id },
+        { status: payment.status, failureReason: `Could not post to schedule: ${error.message}` }
+      );
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed',
+      data: result.payment
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { hasSmsProvider, processDeliveryReport } from '../utils/sms/index.js';
+
+const router = express.Router();
+
+// @route   POST /api/sms/delivery/:provider
+// @desc    Receive SMS delivery reports and update OTP delivery status
+// @access  Public (verified by the provider adapter)
+router.post('/delivery/:provider', async (req, res) => {
+  try {
+    if (!hasSmsProvider(req.params.provider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown SMS provider'
+      });
+    }
+
+    const result = await processDeliveryReport(req.params.provider, req);
+
+    if (!result.accepted) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid delivery report'
+      });
+    }
+
+    res.json({
+      success: true,
+      received: result.received,
+      updated: result.updated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Eligibility from '../models/Eligibility.model.js';
+import User from '../models/User.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Link existing eligibility checks to user accounts where the form email exactly
+// matches an account email. Names are never used for matching.
+// Pass --dry-run to only report what would change.
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const emails = await Eligibility.distinct('email', { userId: null });
+    let linked = 0;
+    let unmatched = 0;
+
+    for (const email of emails) {
+      const user = await User.findOne({ email: email.toLowerCase() }).select('_id');
+      if (!user) {
+        unmatched += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        linked += await Eligibility.countDocuments({ email, userId: null });
+      } else {
+        const result = await Eligibility.updateMany(
+          { email, userId: null },
+          { userId: user._id, claimedAt: new Date() }
+        );
+        linked += result.modifiedCount;
+      }
+    }
+
+    console.log(`\n✅ Eligibility backfill ${dryRun ? '(dry run) ' : ''}completed`);
+    console.log({ emailsChecked: emails.length, recordsLinked: linked, emailsWithoutAccount: unmatched });
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling eligibility users:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
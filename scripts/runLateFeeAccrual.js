@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { runLateFeeAccrual } from '../utils/lateFeeAccrual.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// One-off run of the late fee / penal interest accrual (e.g. from an external cron)
+const run = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const summary = await runLateFeeAccrual();
+    console.log('\n✅ Late fee accrual completed');
+    console.log(summary);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error running late fee accrual:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
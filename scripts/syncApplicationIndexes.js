@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Application from '../models/Application.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// The unique index on applicationNumber used to include documents without a number, so only
+// one draft could exist at a time. It is now sparse; this rebuilds it (and any other changed
+// application indexes). Pass --dry-run to only report what would change.
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const diff = await Application.diffIndexes();
+
+    if (!dryRun) {
+      await Application.syncIndexes();
+    }
+
+    console.log(`\n✅ Application index sync ${dryRun ? '(dry run) ' : ''}completed`);
+    console.log({ indexesDropped: diff.toDrop, indexesCreated: diff.toCreate });
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing application indexes:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
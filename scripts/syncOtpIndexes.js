@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import OTP from '../models/OTP.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// OTP records used to be deleted by a TTL index on expiresAt (when the code expires).
+// They are now kept until purgeAt so resend limits can be counted, so the old index must go.
+// Old plaintext OTPs are removed as well; they can no longer be verified.
+// Pass --dry-run to only report what would change.
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/beforesalary';
+    await mongoose.connect(mongoUri);
+    console.log('✅ MongoDB Connected');
+
+    const diff = await OTP.diffIndexes();
+    const legacy = await OTP.countDocuments({ codeHash: { $exists: false } });
+
+    if (!dryRun) {
+      await OTP.deleteMany({ codeHash: { $exists: false } });
+      await OTP.syncIndexes();
+    }
+
+    console.log(`\n✅ OTP index sync ${dryRun ? '(dry run) ' : ''}completed`);
+    console.log({ indexesDropped: diff.toDrop, indexesCreated: diff.toCreate, legacyOtpsRemoved: legacy });
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing OTP indexes:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+run();
@@ -50,9 +50,21 @@ import homeRoutes from './routes/home.routes.js';
 import categoryRoutes from './routes/category.routes.js';
 import formFieldRoutes from './routes/formField.routes.js';
 import eligibilityRoutes from './routes/eligibility.routes.js';
+import repaymentRoutes from './routes/repayment.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import queueRoutes from './routes/queue.routes.js';
+import calculatorRoutes from './routes/calculator.routes.js';
+import smsRoutes from './routes/sms.routes.js';
+import { startLateFeeAccrualJob } from './utils/lateFeeAccrual.js';
 
 const app = express();
 
+// Behind a load balancer (e.g. Render) set TRUST_PROXY so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // CORS Configuration - Must be before any routes
 const allowedOrigins = [
   'http://localhost:5173',
@@ -102,7 +114,12 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Keep the raw request body so payment webhooks can verify their signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files with explicit CORS headers and proper route handler
@@ -158,7 +175,10 @@ app.use('/uploads', (req, res, next) => {
 
 // Database Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB Connected Successfully'))
+  .then(() => {
+    console.log('MongoDB Connected Successfully');
+    startLateFeeAccrualJob();
+  })
   // .then(() => console.log("MONGODB_URI"))
   .catch((error) => console.error('MongoDB Connection Error:', error));
 
@@ -208,6 +228,11 @@ app.use('/api/home', homeRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/form-fields', formFieldRoutes);
 app.use('/api/eligibility', eligibilityRoutes); 
+app.use('/api/repayments', repaymentRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/calculator', calculatorRoutes);
+app.use('/api/sms', smsRoutes);
 
 
 // Test Route for deployment check
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateEMI,
+  buildAmortizationSchedule,
+  calculateDailyInterest,
+  resolvePaydayDueDate,
+  buildPaydaySchedule
+} from '../utils/finance.js';
+
+test('calculateEMI matches the reducing-balance formula', () => {
+  assert.equal(calculateEMI(100000, 12, 12), 8884.88);
+  assert.equal(calculateEMI(12000, 0, 12), 1000);
+  assert.equal(calculateEMI(0, 12, 12), 0);
+});
+
+test('amortization schedule repays the principal exactly', () => {
+  const startDate = new Date(2026, 0, 31);
+  const { emi, installments, totalInterest, totalPayable } = buildAmortizationSchedule({
+    principal: 100000,
+    annualRate: 12,
+    tenureMonths: 12,
+    startDate
+  });
+
+  assert.equal(emi, 8884.88);
+  assert.equal(installments.length, 12);
+  assert.equal(installments[0].interest, 1000);
+  assert.equal(installments[11].closingBalance, 0);
+
+  const principalRepaid = installments.reduce((sum, inst) => sum + inst.principal, 0);
+  assert.equal(Math.round(principalRepaid * 100) / 100, 100000);
+  assert.equal(totalPayable, Math.round((100000 + totalInterest) * 100) / 100);
+
+  // Due dates clamp to the end of shorter months
+  assert.equal(installments[0].dueDate.getDate(), 28);
+  assert.equal(installments[1].dueDate.getDate(), 31);
+});
+
+test('payday interest is simple interest on an actual/365 day count', () => {
+  assert.equal(calculateDailyInterest(10000, 36.5, 30), 300);
+  assert.equal(calculateDailyInterest(10000, 36.5, 0), 0);
+
+  const startDate = new Date(2026, 0, 1);
+  const dueDate = new Date(2026, 0, 31);
+  const schedule = buildPaydaySchedule({ principal: 10000, annualRate: 36.5, startDate, dueDate });
+  assert.equal(schedule.days, 30);
+  assert.equal(schedule.emi, 10300);
+  assert.equal(schedule.installments.length, 1);
+  assert.equal(schedule.installments[0].closingBalance, 0);
+});
+
+test('payday due date rolls a too-close salary date forward and caps it at maxDays', () => {
+  const startDate = new Date(2026, 0, 10);
+
+  const rolled = resolvePaydayDueDate({ nextSalaryDate: new Date(2026, 0, 12), startDate, minDays: 7, maxDays: 45 });
+  assert.equal(rolled.dueDate.getMonth(), 1);
+  assert.equal(rolled.dueDate.getDate(), 12);
+
+  const capped = resolvePaydayDueDate({ nextSalaryDate: new Date(2026, 5, 1), startDate, minDays: 7, maxDays: 45 });
+  assert.equal(capped.days, 45);
+});
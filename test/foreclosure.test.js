@@ -0,0 +1,100 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import Application from '../models/Application.model.js';
+import Payment from '../models/Payment.model.js';
+import {
+  getForeclosureQuote,
+  postPaymentToSchedule,
+  applyForeclosureToSchedule
+} from '../utils/repaymentSchedule.js';
+import { roundCurrency } from '../utils/finance.js';
+import { makeSchedule } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+const FEE_2_PERCENT = { feeType: 'percentage', feeValue: 2 };
+
+const makePayment = (schedule, amount, fields = {}) => {
+  const payment = new Payment({ applicationId: schedule.applicationId, userId: schedule.userId, amount, ...fields });
+  payment.save = async () => payment;
+  return payment;
+};
+
+// A 3 month loan from 1 Jan 2026 with the first EMI paid on its due date
+const setup = async () => {
+  const schedule = makeSchedule();
+  mock.method(RepaymentSchedule, 'findOne', async () => schedule);
+  const application = new Application({ status: 'Disbursed' });
+  application.save = async () => application;
+  mock.method(Application, 'findById', async () => application);
+
+  const first = makePayment(schedule, schedule.emi, { paidAt: schedule.installments[0].dueDate });
+  await postPaymentToSchedule(first);
+  return { schedule, application };
+};
+
+test('foreclosure quotes accrue actual/365 interest on the running period', async () => {
+  const { schedule } = await setup();
+  const asOf = new Date(2026, 1, 16);
+  const quote = getForeclosureQuote(schedule, FEE_2_PERCENT, asOf);
+
+  assert.equal(quote.allowed, true);
+  assert.equal(quote.accruedInterestDays, 15);
+  assert.equal(quote.accruedInterest, roundCurrency(schedule.outstandingPrincipal * 0.12 * 15 / 365));
+  assert.equal(quote.foreclosureFee, roundCurrency(schedule.outstandingPrincipal * 0.02));
+  assert.equal(quote.totalPayable, roundCurrency(schedule.outstandingPrincipal + quote.accruedInterest + quote.foreclosureFee));
+});
+
+test('paying the quote through the repayment path does not close the loan', async () => {
+  const { schedule, application } = await setup();
+  const quote = getForeclosureQuote(schedule, {}, new Date(2026, 1, 16));
+
+  // Allocated interest first against the full scheduled interest, so principal is left over
+  await postPaymentToSchedule(makePayment(schedule, quote.totalPayable, { paidAt: quote.asOf }));
+  assert.equal(schedule.status, 'Active');
+  assert.ok(schedule.outstandingPrincipal > 0);
+  assert.equal(application.status, 'Disbursed');
+});
+
+test('applying the foreclosure quote closes the schedule and the application', async () => {
+  const { schedule, application } = await setup();
+  const quote = getForeclosureQuote(schedule, FEE_2_PERCENT, new Date(2026, 1, 16));
+
+  // Captured later the same day, against the quote stored on the payment
+  const payment = makePayment(schedule, quote.totalPayable, {
+    purpose: 'foreclosure',
+    foreclosureQuote: quote,
+    paidAt: new Date(2026, 1, 16, 18)
+  });
+  await applyForeclosureToSchedule(payment, FEE_2_PERCENT);
+
+  assert.equal(schedule.status, 'Closed');
+  assert.equal(schedule.outstandingPrincipal, 0);
+  assert.ok(schedule.installments.every(inst => inst.status === 'Paid'));
+  assert.equal(schedule.installments[1].interest, quote.accruedInterest);
+  assert.equal(schedule.installments[2].interest, 0);
+  assert.equal(schedule.ledger.at(-1).type, 'foreclosure');
+  assert.equal(application.status, 'Closed');
+
+  assert.equal(payment.status, 'Success');
+  const allocated = payment.allocations.reduce((sum, a) => sum + a.principal + a.interest + a.charges, 0);
+  assert.equal(roundCurrency(allocated), payment.amount);
+});
+
+test('a stale or mismatched foreclosure payment is not applied', async () => {
+  const { schedule } = await setup();
+  const quote = getForeclosureQuote(schedule, {}, new Date(2026, 1, 16));
+
+  // Captured after the quote expired: the quote has grown by another day of interest
+  const late = makePayment(schedule, quote.totalPayable, {
+    purpose: 'foreclosure',
+    foreclosureQuote: quote,
+    paidAt: new Date(2026, 1, 17, 10)
+  });
+  await assert.rejects(applyForeclosureToSchedule(late, {}), /Foreclosure amount is/);
+
+  const short = makePayment(schedule, quote.totalPayable - 1, { purpose: 'foreclosure', paidAt: quote.asOf });
+  await assert.rejects(applyForeclosureToSchedule(short, {}), /Foreclosure amount is/);
+  assert.equal(schedule.status, 'Active');
+});
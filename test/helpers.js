@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import { buildAmortizationSchedule } from '../utils/finance.js';
+
+export const id = () => new mongoose.Types.ObjectId();
+
+// In-memory schedule document; save() is a no-op
+export const makeSchedule = ({ principal = 30000, annualRate = 12, tenureMonths = 3, startDate = new Date(2026, 0, 1) } = {}) => {
+  const plan = buildAmortizationSchedule({ principal, annualRate, tenureMonths, startDate });
+  const schedule = new RepaymentSchedule({
+    applicationId: id(),
+    userId: id(),
+    principal,
+    annualRate,
+    tenureMonths,
+    emi: plan.emi,
+    startDate,
+    installments: plan.installments,
+    totalInterest: plan.totalInterest,
+    totalPayable: plan.totalPayable,
+    outstandingPrincipal: principal
+  });
+  schedule.save = async () => schedule;
+  return schedule;
+};
@@ -0,0 +1,78 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AdminSettings from '../models/AdminSettings.model.js';
+import Application from '../models/Application.model.js';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import { runLateFeeAccrual } from '../utils/lateFeeAccrual.js';
+import { roundCurrency } from '../utils/finance.js';
+import { makeSchedule } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+// Default rules: ₹500 flat fee, 24% penal interest, 3 day grace period
+const stubAccrual = (schedules, disbursed = schedules.map(s => s.applicationId)) => {
+  mock.method(AdminSettings, 'findOne', () => ({ sort: async () => null }));
+  const distinct = mock.method(Application, 'distinct', async () => disbursed);
+  const find = mock.method(RepaymentSchedule, 'find', (filter) => ({
+    select: async () => schedules
+      .filter(s => filter.applicationId.$in.some(appId => appId.equals(s.applicationId)))
+      .map(s => ({ _id: s._id }))
+  }));
+  mock.method(RepaymentSchedule, 'findOneAndUpdate', async (filter, update) => {
+    const schedule = schedules.find(s => s._id.equals(filter._id));
+    if (!schedule || schedule.accrualRunOn === filter.accrualRunOn.$ne) return null;
+    schedule.accrualRunOn = update.$set.accrualRunOn;
+    return schedule;
+  });
+  return { distinct, find };
+};
+
+test('only schedules of disbursed applications accrue charges', async () => {
+  const disbursed = makeSchedule();
+  const sanctioned = makeSchedule();
+  const { distinct } = stubAccrual([disbursed, sanctioned], [disbursed.applicationId]);
+
+  const asOf = new Date(disbursed.installments[0].dueDate.getTime() + 10 * DAY_MS);
+  const summary = await runLateFeeAccrual(asOf);
+
+  assert.deepEqual(distinct.mock.calls[0].arguments, ['_id', { status: 'Disbursed' }]);
+  assert.equal(summary.schedules, 1);
+  assert.equal(disbursed.installments[0].lateFee, 500);
+  assert.equal(sanctioned.installments[0].lateFee, 0);
+  assert.equal(sanctioned.ledger.length, 0);
+});
+
+test('penal interest starts after the grace period and is not accrued twice', async () => {
+  const schedule = makeSchedule();
+  stubAccrual([schedule]);
+  const [inst] = schedule.installments;
+
+  // Inside the grace period nothing is charged
+  let summary = await runLateFeeAccrual(new Date(inst.dueDate.getTime() + 2 * DAY_MS));
+  assert.equal(summary.schedules, 0);
+  assert.equal(inst.lateFee, 0);
+
+  // 13 days after the due date: flat fee plus 10 days of penal interest
+  const asOf = new Date(inst.dueDate.getTime() + 13 * DAY_MS);
+  summary = await runLateFeeAccrual(asOf);
+  const expected = roundCurrency(inst.amount * 0.24 * 10 / 365);
+
+  assert.equal(inst.overdueSince.getTime(), inst.dueDate.getTime());
+  assert.equal(inst.lateFee, 500);
+  assert.equal(inst.penalInterest, expected);
+  assert.equal(summary.penalInterest, expected);
+  assert.equal(inst.penalAccruedUntil.getTime(), asOf.getTime());
+  assert.equal(inst.status, 'Overdue');
+
+  // A second run on the same day is a no-op
+  summary = await runLateFeeAccrual(asOf);
+  assert.equal(summary.schedules, 0);
+  assert.equal(inst.penalInterest, expected);
+
+  // The next day adds one more day of penal interest and no second flat fee
+  await runLateFeeAccrual(new Date(asOf.getTime() + DAY_MS));
+  assert.equal(inst.lateFee, 500);
+  assert.equal(inst.penalInterest, roundCurrency(expected + roundCurrency(inst.amount * 0.24 / 365)));
+});
@@ -0,0 +1,114 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LoanConsent from '../models/LoanConsent.model.js';
+import {
+  GENESIS_HASH,
+  computeConsentHash,
+  createConsentRecord,
+  verifyConsentRecord
+} from '../utils/loanConsent.js';
+import { id } from './helpers.js';
+
+const uploadsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../uploads');
+const fileName = `consent-test-${process.pid}.pdf`;
+const fileContents = 'sanction letter';
+
+before(() => fs.writeFileSync(path.join(uploadsDir, fileName), fileContents));
+after(() => fs.rmSync(path.join(uploadsDir, fileName), { force: true }));
+afterEach(() => mock.restoreAll());
+
+const consentFields = () => ({
+  applicationId: id(),
+  userId: id(),
+  documents: [{
+    type: 'sanction_letter',
+    documentId: id(),
+    url: `/uploads/${fileName}`,
+    sha256: crypto.createHash('sha256').update(fileContents).digest('hex')
+  }],
+  terms: { sanctionedAmount: 50000, interestRate: 18, tenure: 12, emi: 4583.93, totalFees: 1180, netDisbursal: 48820, apr: 20.1 },
+  otp: { otpId: id(), channel: 'email', sentTo: 'b***@example.com', verifiedAt: new Date('2026-03-01T10:00:00Z') },
+  ipAddress: '203.0.113.7',
+  userAgent: 'test',
+  acceptedAt: new Date('2026-03-01T10:00:05Z')
+});
+
+// Stub LoanConsent storage with an in-memory chain
+const stubChain = () => {
+  const chain = [];
+  mock.method(LoanConsent, 'findOne', () => ({
+    sort: () => ({ select: async () => chain.at(-1) || null })
+  }));
+  mock.method(LoanConsent, 'create', async (record) => {
+    if (chain.some(r => r.previousHash === record.previousHash)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    chain.push(record);
+    return record;
+  });
+  mock.method(LoanConsent, 'exists', async ({ recordHash }) => chain.some(r => r.recordHash === recordHash));
+  return chain;
+};
+
+test('the consent hash covers the accepted terms', () => {
+  const record = { ...consentFields(), previousHash: GENESIS_HASH };
+  const hash = computeConsentHash(record);
+
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(computeConsentHash({ ...record }), hash);
+  assert.notEqual(computeConsentHash({ ...record, terms: { ...record.terms, sanctionedAmount: 60000 } }), hash);
+  assert.notEqual(computeConsentHash({ ...record, previousHash: 'f'.repeat(64) }), hash);
+});
+
+test('consent records are chained to the previous record', async () => {
+  const chain = stubChain();
+
+  const first = await createConsentRecord(consentFields());
+  const second = await createConsentRecord(consentFields());
+
+  assert.equal(first.previousHash, GENESIS_HASH);
+  assert.equal(second.previousHash, first.recordHash);
+  assert.equal(second.recordHash, computeConsentHash(second));
+  assert.equal(chain.length, 2);
+});
+
+test('a record racing for the same chain tip is retried on the new tip', async () => {
+  const chain = stubChain();
+  const first = await createConsentRecord(consentFields());
+
+  // Another writer appends after this one has read the tip
+  let reads = 0;
+  mock.method(LoanConsent, 'findOne', () => ({
+    sort: () => ({ select: async () => (reads++ === 0 ? first : chain.at(-1)) })
+  }));
+  chain.push({ ...consentFields(), previousHash: first.recordHash, recordHash: 'a'.repeat(64) });
+
+  const record = await createConsentRecord(consentFields());
+  assert.equal(reads, 2);
+  assert.equal(record.previousHash, 'a'.repeat(64));
+});
+
+test('verification detects edited records, broken links and changed files', async () => {
+  stubChain();
+  const consent = await createConsentRecord(consentFields());
+
+  assert.equal((await verifyConsentRecord(consent)).valid, true);
+
+  const edited = { ...consent, terms: { ...consent.terms, interestRate: 12 } };
+  const editedResult = await verifyConsentRecord(edited);
+  assert.equal(editedResult.valid, false);
+  assert.equal(editedResult.hashValid, false);
+
+  const orphan = { ...consent, previousHash: 'b'.repeat(64) };
+  orphan.recordHash = computeConsentHash(orphan);
+  assert.equal((await verifyConsentRecord(orphan)).chainValid, false);
+
+  fs.writeFileSync(path.join(uploadsDir, fileName), 'altered letter');
+  const fileResult = await verifyConsentRecord(consent);
+  assert.equal(fileResult.valid, false);
+  assert.equal(fileResult.documents[0].fileIntact, false);
+});
@@ -0,0 +1,28 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { devOtpField, otpSentResponse } from '../utils/otpService.js';
+
+const env = { ...process.env };
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('codes are echoed only when OTP_DEV_ECHO is enabled outside production', () => {
+  delete process.env.OTP_DEV_ECHO;
+  process.env.NODE_ENV = 'development';
+  assert.deepEqual(devOtpField('123456', 'login'), {});
+
+  process.env.OTP_DEV_ECHO = 'true';
+  assert.deepEqual(devOtpField('123456', 'login'), { devOtp: '123456' });
+  assert.equal(otpSentResponse('sent', '123456', 'repayment').devOtp, '123456');
+
+  process.env.NODE_ENV = 'production';
+  assert.deepEqual(devOtpField('123456', 'login'), {});
+});
+
+test('loan acceptance codes are never echoed', () => {
+  process.env.OTP_DEV_ECHO = 'true';
+  process.env.NODE_ENV = 'development';
+  assert.deepEqual(devOtpField('123456', 'loan_acceptance'), {});
+  assert.equal('devOtp' in otpSentResponse('sent', '123456', 'loan_acceptance'), false);
+});
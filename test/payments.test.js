@@ -0,0 +1,172 @@
+import { test, mock, afterEach, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import Payment from '../models/Payment.model.js';
+import PaymentEvent from '../models/PaymentEvent.model.js';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import mockProvider from '../utils/payments/mockProvider.js';
+import {
+  hasPaymentProvider,
+  getPaymentProvider,
+  refundPayment,
+  processWebhook
+} from '../utils/payments/index.js';
+import { postPaymentToSchedule } from '../utils/repaymentSchedule.js';
+import { id, makeSchedule } from './helpers.js';
+
+before(() => {
+  process.env.MOCK_PAYMENT_SECRET = 'test-secret';
+});
+
+afterEach(() => mock.restoreAll());
+
+const makePayment = (fields) => {
+  const payment = new Payment({ applicationId: id(), userId: id(), channel: 'online', provider: 'mock', ...fields });
+  payment.save = async () => payment;
+  return payment;
+};
+
+// Sign a webhook delivery the way the mock gateway does
+const signedWebhook = (event, payload) => {
+  const rawBody = JSON.stringify({ id: `evt_${payload.orderId}`, event, payload: { paymentId: 'pay_1', ...payload } });
+  const signature = crypto.createHmac('sha256', process.env.MOCK_PAYMENT_SECRET).update(rawBody).digest('hex');
+  return { rawBody, headers: { 'x-mock-signature': signature } };
+};
+
+const stubEvents = () => {
+  const events = [];
+  mock.method(PaymentEvent, 'create', async (fields) => {
+    const event = new PaymentEvent(fields);
+    event.save = async () => event;
+    events.push(event);
+    return event;
+  });
+  mock.method(PaymentEvent, 'findOne', async (filter) =>
+    events.find(e => !e._id.equals(filter._id.$ne) && e.eventId === filter.eventId && e.status === 'processed') || null
+  );
+  return events;
+};
+
+test('provider lookups only match registered providers', () => {
+  assert.equal(hasPaymentProvider('mock'), true);
+  assert.equal(hasPaymentProvider('constructor'), false);
+  assert.equal(hasPaymentProvider('toString'), false);
+  assert.throws(() => getPaymentProvider('constructor'), /Unknown payment provider/);
+  assert.equal(getPaymentProvider('mock'), mockProvider);
+});
+
+test('mock signatures verify only the signed payload', () => {
+  const { orderId, paymentId, signature } = mockProvider.simulateCheckout({ orderId: 'order_1', amount: 100 }, () => {});
+  assert.equal(mockProvider.verifyPaymentSignature({ orderId, paymentId, signature }), true);
+  assert.equal(mockProvider.verifyPaymentSignature({ orderId: 'order_2', paymentId, signature }), false);
+
+  const rawBody = JSON.stringify({ id: 'evt_1', event: 'payment.captured', payload: {} });
+  const headers = { 'x-mock-signature': signature };
+  assert.equal(mockProvider.verifyWebhookSignature(rawBody, headers), false);
+});
+
+test('a captured webhook is processed once and issues a receipt', async () => {
+  const events = stubEvents();
+  const payment = makePayment({ amount: 1180, purpose: 'processing_fee', providerOrderId: 'order_fee' });
+  mock.method(Payment, 'findOne', async () => payment);
+  mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+    if (payment.status !== filter.status) return null;
+    Object.assign(payment, update);
+    return payment;
+  });
+  mock.method(Payment, 'findById', async () => payment);
+
+  const { rawBody, headers } = signedWebhook('payment.captured', { orderId: 'order_fee', amount: 1180 });
+
+  const first = await processWebhook('mock', rawBody, headers);
+  assert.equal(first.status, 'processed');
+  assert.equal(payment.status, 'Success');
+
+  const again = await processWebhook('mock', rawBody, headers);
+  assert.equal(again.status, 'duplicate');
+  assert.equal(events.length, 2);
+});
+
+test('a webhook with a bad signature is stored and rejected', async () => {
+  stubEvents();
+  const findOne = mock.method(Payment, 'findOne', async () => assert.fail('should not look up the payment'));
+
+  const { rawBody } = signedWebhook('payment.captured', { orderId: 'order_x', amount: 10 });
+  const event = await processWebhook('mock', rawBody, { 'x-mock-signature': 'forged' });
+
+  assert.equal(event.status, 'rejected');
+  assert.equal(event.signatureValid, false);
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('a capture for a different amount is held for reconciliation', async () => {
+  stubEvents();
+  const schedule = makeSchedule();
+  const payment = makePayment({ applicationId: schedule.applicationId, amount: 5000, purpose: 'repayment', providerOrderId: 'order_emi' });
+  mock.method(Payment, 'findOne', async () => payment);
+  mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+    if (payment.status !== filter.status) return null;
+    Object.assign(payment, update);
+    return payment;
+  });
+  const scheduleLookup = mock.method(RepaymentSchedule, 'findOne', async () => schedule);
+
+  const { rawBody, headers } = signedWebhook('payment.captured', { orderId: 'order_emi', amount: 50 });
+  const event = await processWebhook('mock', rawBody, headers);
+
+  assert.equal(event.status, 'error');
+  assert.equal(payment.status, 'NeedsReconciliation');
+  assert.match(payment.failureReason, /does not match/);
+  assert.equal(scheduleLookup.mock.callCount(), 0);
+  assert.equal(schedule.totalPaid || 0, 0);
+});
+
+test('refunds reverse the schedule before the gateway is called', async () => {
+  const schedule = makeSchedule();
+  mock.method(RepaymentSchedule, 'findOne', async () => schedule);
+  const payment = makePayment({ applicationId: schedule.applicationId, amount: 5000, purpose: 'repayment', providerPaymentId: 'pay_1' });
+  await postPaymentToSchedule(payment);
+  assert.equal(payment.status, 'Success');
+
+  const calls = [];
+  payment.save = async () => {
+    calls.push(`save:${payment.refunds.at(-1)?.status}`);
+    return payment;
+  };
+  mock.method(mockProvider, 'refund', async ({ amount }) => {
+    calls.push(`refund:${schedule.outstandingPrincipal}`);
+    return { refundId: 'rfnd_1', amount, status: 'processed' };
+  });
+
+  await refundPayment(payment, { reason: 'Duplicate payment' });
+
+  assert.deepEqual(calls, ['save:pending', 'refund:30000', 'save:processed']);
+  assert.equal(payment.status, 'Refunded');
+  assert.equal(payment.refunds[0].refundId, 'rfnd_1');
+  assert.equal(schedule.totalPaid, 0);
+  assert.equal(schedule.ledger.at(-1).type, 'refund');
+});
+
+test('a failed gateway refund leaves the payment for reconciliation', async () => {
+  const schedule = makeSchedule();
+  mock.method(RepaymentSchedule, 'findOne', async () => schedule);
+  const payment = makePayment({ applicationId: schedule.applicationId, amount: 5000, purpose: 'repayment', providerPaymentId: 'pay_2' });
+  await postPaymentToSchedule(payment);
+
+  mock.method(mockProvider, 'refund', async () => {
+    throw new Error('Gateway unavailable');
+  });
+
+  await assert.rejects(refundPayment(payment), /Gateway unavailable/);
+  assert.equal(payment.status, 'NeedsReconciliation');
+  assert.equal(payment.refunds[0].status, 'failed');
+  assert.equal(payment.refundedAmount, 0);
+  assert.equal(schedule.outstandingPrincipal, 30000);
+
+  // Retrying goes straight to the gateway without reversing the schedule again
+  mock.restoreAll();
+  mock.method(RepaymentSchedule, 'findOne', async () => assert.fail('should not reverse twice'));
+  await refundPayment(payment);
+  assert.equal(payment.status, 'Refunded');
+  assert.equal(payment.refundedAmount, 5000);
+});
@@ -0,0 +1,95 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import Application from '../models/Application.model.js';
+import Payment from '../models/Payment.model.js';
+import {
+  generateScheduleForApplication,
+  postPaymentToSchedule,
+  waiveInstallmentCharges
+} from '../utils/repaymentSchedule.js';
+import { id, makeSchedule } from './helpers.js';
+
+afterEach(() => mock.restoreAll());
+
+test('generateScheduleForApplication amortizes the loan from the approval date', async () => {
+  mock.method(RepaymentSchedule, 'findOne', async () => null);
+  const create = mock.method(RepaymentSchedule, 'create', async (fields) => fields);
+
+  const approvedAt = new Date(2026, 2, 15);
+  const schedule = await generateScheduleForApplication({
+    _id: id(),
+    userId: id(),
+    approvedAt,
+    loanDetails: { loanAmount: 100000, loanTenure: 12, interestRate: 12 }
+  });
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(schedule.emi, 8884.88);
+  assert.equal(schedule.installments.length, 12);
+  assert.equal(schedule.outstandingPrincipal, 100000);
+  assert.equal(schedule.installments[0].dueDate.getMonth(), 3);
+});
+
+test('generateScheduleForApplication returns an existing schedule unchanged', async () => {
+  const existing = makeSchedule();
+  mock.method(RepaymentSchedule, 'findOne', async () => existing);
+  const create = mock.method(RepaymentSchedule, 'create', async () => assert.fail('should not create'));
+
+  assert.equal(await generateScheduleForApplication({ _id: existing.applicationId, loanDetails: {} }), existing);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('payments are allocated interest first and close the loan when fully repaid', async () => {
+  const schedule = makeSchedule();
+  mock.method(RepaymentSchedule, 'findOne', async () => schedule);
+  const application = new Application({ status: 'Disbursed' });
+  application.save = async () => application;
+  mock.method(Application, 'findById', async () => application);
+
+  const first = new Payment({ applicationId: schedule.applicationId, userId: schedule.userId, amount: 500 });
+  first.save = async () => first;
+  await postPaymentToSchedule(first);
+
+  const [inst] = schedule.installments;
+  assert.equal(first.allocations.length, 1);
+  assert.deepEqual(
+    { ...first.allocations[0].toObject(), _id: undefined },
+    { _id: undefined, installmentNumber: 1, principal: 200, interest: 300, charges: 0 }
+  );
+  assert.equal(inst.status, 'Partially Paid');
+  assert.equal(schedule.outstandingPrincipal, 29800);
+
+  const rest = new Payment({
+    applicationId: schedule.applicationId,
+    userId: schedule.userId,
+    amount: Math.round((schedule.totalPayable - 500) * 100) / 100
+  });
+  rest.save = async () => rest;
+  await postPaymentToSchedule(rest);
+
+  assert.equal(schedule.status, 'Closed');
+  assert.equal(schedule.outstandingPrincipal, 0);
+  assert.equal(application.status, 'Closed');
+});
+
+test('payments larger than the outstanding amount are refused', async () => {
+  const schedule = makeSchedule();
+  mock.method(RepaymentSchedule, 'findOne', async () => schedule);
+
+  const payment = new Payment({ applicationId: schedule.applicationId, userId: schedule.userId, amount: schedule.totalPayable + 1 });
+  await assert.rejects(postPaymentToSchedule(payment), /exceeds the total outstanding/);
+});
+
+test('waiving the last charges closes the schedule', () => {
+  const schedule = makeSchedule({ tenureMonths: 1 });
+  const [inst] = schedule.installments;
+  inst.paidAmount = inst.amount;
+  inst.lateFee = 500;
+  inst.overdueSince = inst.dueDate;
+
+  waiveInstallmentCharges(schedule, { installmentNumber: 1, reason: 'Goodwill' });
+
+  assert.equal(inst.status, 'Paid');
+  assert.equal(schedule.status, 'Closed');
+});
@@ -0,0 +1,80 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import OTP from '../models/OTP.model.js';
+import smsRoutes from '../routes/sms.routes.js';
+import {
+  hasSmsProvider,
+  getSmsProvider,
+  normalizeMobile,
+  sendSms,
+  processDeliveryReport
+} from '../utils/sms/index.js';
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.SMS_WEBHOOK_TOKEN;
+});
+
+// Start the SMS routes on a random port and POST a delivery report to them
+const postDeliveryReport = async (path, body = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/sms', smsRoutes);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sms${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+test('provider lookups only match registered providers', () => {
+  assert.equal(hasSmsProvider('msg91'), true);
+  assert.equal(hasSmsProvider('constructor'), false);
+  assert.equal(hasSmsProvider('__proto__'), false);
+  assert.throws(() => getSmsProvider('constructor'), /Unknown SMS provider/);
+});
+
+test('delivery reports for unknown providers return 404', async () => {
+  for (const provider of ['nope', 'constructor', 'hasOwnProperty']) {
+    const { status } = await postDeliveryReport(`/delivery/${provider}`);
+    assert.equal(status, 404);
+  }
+});
+
+test('delivery reports without the webhook token are rejected', async () => {
+  process.env.SMS_WEBHOOK_TOKEN = 'secret';
+  const { status } = await postDeliveryReport('/delivery/msg91?token=wrong', []);
+  assert.equal(status, 401);
+});
+
+test('msg91 delivery reports update the matching OTP records', async () => {
+  process.env.SMS_WEBHOOK_TOKEN = 'secret';
+  const updateOne = mock.method(OTP, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const result = await processDeliveryReport('msg91', {
+    query: { token: 'secret' },
+    body: [{ requestId: 'req_1', report: [{ desc: 'DELIVERED', number: '919876543210', date: '2026-01-01T10:00:00Z' }] }]
+  });
+
+  assert.deepEqual(result, { accepted: true, received: 1, updated: 1 });
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.equal(filter['delivery.messageId'], 'req_1');
+  assert.equal(update.$set['delivery.status'], 'delivered');
+});
+
+test('templated messages fill variables in order', async () => {
+  const log = mock.method(console, 'log', () => {});
+  const result = await sendSms({ to: '09876543210', template: 'otp', values: ['123456', 'login'] });
+
+  assert.equal(result.provider, 'console');
+  assert.equal(result.status, 'delivered');
+  assert.match(log.mock.calls[0].arguments[0], /SMS to 919876543210.*123456 is your OTP for login\./);
+  assert.equal(normalizeMobile('+91 98765 43210'), '919876543210');
+});
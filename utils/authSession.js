@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import Session from '../models/Session.model.js';
+import { generateToken } from './generateToken.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getRefreshTokenLifetimeMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * DAY_MS;
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+export const parseRefreshToken = (refreshToken = '') => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const activeFilter = (now = new Date()) => ({ revokedAt: null, expiresAt: { $gt: now } });
+
+// Start a session for a user signing in and return the token pair for the response
+export const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: req.body?.deviceName ? String(req.body.deviceName).slice(0, 100) : undefined,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenLifetimeMs())
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken: formatRefreshToken(session._id, secret),
+    session
+  };
+};
+
+// Swap a refresh token for a new pair. Returns { error } when the token is not usable.
+// A token that was already rotated away is treated as stolen and ends the session.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const now = new Date();
+  const hash = hashToken(parsed.secret);
+  const secret = newSecret();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: hash, ...activeFilter(now) },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousRefreshTokenHash: hash,
+        lastUsedAt: now,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        expiresAt: new Date(now.getTime() + getRefreshTokenLifetimeMs())
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { _id: parsed.sessionId, previousRefreshTokenHash: hash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    return { error: 'Session expired. Please log in again.' };
+  }
+
+  return {
+    session,
+    token: generateToken(session.userId, session._id),
+    refreshToken: formatRefreshToken(session._id, secret)
+  };
+};
+
+// Session a refresh token belongs to, if the token is current
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  return Session.findOne({ _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), ...activeFilter() });
+};
+
+// Used by the auth middleware on every request carrying an access token
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) return false;
+  return Boolean(await Session.exists({ _id: sessionId, userId, ...activeFilter() }));
+};
+
+export const listActiveSessions = (userId) => {
+  return Session.find({ userId, ...activeFilter() })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+// Revoke sessions matching filter (scoped by the caller); returns the number revoked
+export const revokeSessions = async (filter, { reason = 'revoked', revokedBy } = {}) => {
+  const result = await Session.updateMany(
+    { ...filter, ...activeFilter() },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,35 @@
+import AdminSettings from '../models/AdminSettings.model.js';
+
+// Login methods allowed by AdminSettings.authentication.method:
+//   smtp     - email + password (password resets by email OTP)
+//   otp      - passwordless: a one-time code sent to email or phone
+//   firebase - Firebase sign-in
+//   both     - email + password and Firebase
+const LOGIN_METHODS = {
+  smtp: ['password'],
+  otp: ['otp'],
+  firebase: ['firebase'],
+  both: ['password', 'firebase']
+};
+
+export const getAuthSettings = async () => {
+  const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+  const authentication = settings?.authentication || {};
+  const method = LOGIN_METHODS[authentication.method] ? authentication.method : 'smtp';
+
+  return {
+    method,
+    loginMethods: LOGIN_METHODS[method],
+    selfSignup: authentication.selfSignup !== false
+  };
+};
+
+export const isLoginMethodEnabled = (authSettings, loginMethod) => authSettings.loginMethods.includes(loginMethod);
+
+// Response body for a login method the admin has switched off
+export const loginMethodDisabled = (res, authSettings) => res.status(403).json({
+  success: false,
+  message: 'This sign-in method is not enabled',
+  code: 'LOGIN_METHOD_DISABLED',
+  method: authSettings.method
+});
@@ -0,0 +1,102 @@
+// Rules engine for eligibility checks. Each rule returns one of:
+//   passed - criterion met
+//   failed - criterion not met (auto-reject)
+//   review - could not be decided automatically (refer to an admin)
+
+// Incomes within this share above the minimum are referred rather than auto-approved
+const BORDERLINE_INCOME_MARGIN = 0.1;
+
+export const calculateAge = (dob, asOf = new Date()) => {
+  const birth = new Date(dob);
+  if (isNaN(birth.getTime())) return null;
+  let age = asOf.getFullYear() - birth.getFullYear();
+  const monthDiff = asOf.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && asOf.getDate() < birth.getDate())) {
+    age -= 1;
+  }
+  return age;
+};
+
+// 'Self-Employed', 'SELF EMPLOYED' and 'self employed' all compare equal;
+// loan products list business owners as 'Business', which the form captures as self employed
+const normalizeEmploymentType = (value = '') => {
+  const key = String(value).toLowerCase().replace(/[^a-z]/g, '');
+  return key === 'business' ? 'selfemployed' : key;
+};
+
+// An empty allow-list accepts every employment type
+export const isEmploymentTypeAllowed = (allowed = [], employmentType) => {
+  const list = allowed.filter(Boolean);
+  return !list.length || list.some(type => normalizeEmploymentType(type) === normalizeEmploymentType(employmentType));
+};
+
+const ageRule = (submission, criteria, asOf) => {
+  const age = calculateAge(submission.dob, asOf);
+  const minAge = criteria.minAge ?? 18;
+  const maxAge = criteria.maxAge ?? 65;
+  const expected = `${minAge}-${maxAge} years`;
+
+  if (age === null) {
+    return { rule: 'age', outcome: 'review', expected, actual: null, message: 'Date of birth could not be read' };
+  }
+  if (age < minAge || age > maxAge) {
+    return { rule: 'age', outcome: 'failed', expected, actual: age, message: `Age ${age} is outside ${expected}` };
+  }
+  return { rule: 'age', outcome: 'passed', expected, actual: age, message: `Age ${age} is within ${expected}` };
+};
+
+const incomeRule = (submission, criteria) => {
+  const income = Number(submission.netMonthlyIncome);
+  const minIncome = criteria.minIncome ?? 0;
+  const expected = `at least ₹${minIncome.toLocaleString('en-IN')}`;
+
+  if (!Number.isFinite(income)) {
+    return { rule: 'minIncome', outcome: 'review', expected, actual: null, message: 'Monthly income could not be read' };
+  }
+  if (income < minIncome) {
+    return { rule: 'minIncome', outcome: 'failed', expected, actual: income, message: `Monthly income ₹${income.toLocaleString('en-IN')} is below the minimum` };
+  }
+  if (minIncome > 0 && income < minIncome * (1 + BORDERLINE_INCOME_MARGIN)) {
+    return { rule: 'minIncome', outcome: 'review', expected, actual: income, message: 'Monthly income is close to the minimum' };
+  }
+  return { rule: 'minIncome', outcome: 'passed', expected, actual: income, message: 'Monthly income meets the minimum' };
+};
+
+const employmentRule = (submission, criteria) => {
+  const allowed = (criteria.employmentType || []).filter(Boolean);
+  const expected = allowed.length ? allowed.join(', ') : 'any';
+
+  if (!allowed.length) {
+    return { rule: 'employmentType', outcome: 'passed', expected, actual: submission.employmentType, message: 'Loan accepts any employment type' };
+  }
+  return isEmploymentTypeAllowed(allowed, submission.employmentType)
+    ? { rule: 'employmentType', outcome: 'passed', expected, actual: submission.employmentType, message: 'Employment type is accepted' }
+    : { rule: 'employmentType', outcome: 'failed', expected, actual: submission.employmentType, message: `Employment type ${submission.employmentType} is not accepted for this loan` };
+};
+
+// Evaluate a submission against a loan's eligibility criteria.
+// Any failed rule rejects, any rule needing review refers, otherwise approves.
+export const evaluateEligibility = (submission, loan, asOf = new Date()) => {
+  if (!loan) {
+    return {
+      decision: 'referred',
+      ruleResults: [{ rule: 'loan', outcome: 'review', message: 'No loan product selected' }]
+    };
+  }
+
+  const criteria = loan.eligibilityCriteria || {};
+  const ruleResults = [
+    ageRule(submission, criteria, asOf),
+    incomeRule(submission, criteria),
+    employmentRule(submission, criteria)
+  ];
+
+  let decision = 'approved';
+  if (ruleResults.some(result => result.outcome === 'failed')) {
+    decision = 'rejected';
+  } else if (ruleResults.some(result => result.outcome === 'review')) {
+    decision = 'referred';
+  }
+
+  return { decision, ruleResults };
+};
@@ -0,0 +1,225 @@
+// Round a currency amount to paise (2 decimals)
+export const roundCurrency = (value) => {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+};
+
+// Add calendar months to a date, clamping to the last day of the target month
+// (e.g. 31 Jan + 1 month => 28/29 Feb)
+export const addMonths = (date, months) => {
+  const source = new Date(date);
+  const result = new Date(source);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(source.getDate(), lastDay));
+  return result;
+};
+
+// Standard reducing-balance EMI: P * r * (1 + r)^n / ((1 + r)^n - 1)
+// annualRate is a percentage (e.g. 12 for 12% p.a.), tenureMonths in months
+export const calculateEMI = (principal, annualRate, tenureMonths) => {
+  const P = Number(principal);
+  const n = Number(tenureMonths);
+  const r = Number(annualRate) / 12 / 100;
+
+  if (!Number.isFinite(P) || !Number.isFinite(n) || P <= 0 || n <= 0) return 0;
+  if (!Number.isFinite(r) || r <= 0) return roundCurrency(P / n);
+
+  const pow = Math.pow(1 + r, n);
+  return roundCurrency((P * r * pow) / (pow - 1));
+};
+
+// Build a month-by-month amortization table.
+// The last installment absorbs rounding so the closing balance is exactly 0.
+export const buildAmortizationSchedule = ({ principal, annualRate, tenureMonths, startDate = new Date() }) => {
+  const P = roundCurrency(principal);
+  const n = Number(tenureMonths);
+  const r = Number(annualRate) / 12 / 100;
+  const emi = calculateEMI(P, annualRate, n);
+
+  const installments = [];
+  let balance = P;
+
+  for (let i = 1; i <= n; i++) {
+    const interest = r > 0 ? roundCurrency(balance * r) : 0;
+    let principalPart = roundCurrency(emi - interest);
+    if (i === n || principalPart > balance) {
+      principalPart = balance;
+    }
+    const amount = roundCurrency(principalPart + interest);
+    const closingBalance = roundCurrency(balance - principalPart);
+
+    installments.push({
+      installmentNumber: i,
+      dueDate: addMonths(startDate, i),
+      openingBalance: balance,
+      amount,
+      principal: principalPart,
+      interest,
+      closingBalance
+    });
+
+    balance = closingBalance;
+  }
+
+  const totalInterest = roundCurrency(installments.reduce((sum, inst) => sum + inst.interest, 0));
+
+  return {
+    emi,
+    installments,
+    totalInterest,
+    totalPayable: roundCurrency(P + totalInterest)
+  };
+};
+
+// Largest principal a given EMI can repay over tenureMonths (inverse of calculateEMI)
+export const calculatePrincipalForEMI = (emi, annualRate, tenureMonths) => {
+  const E = Number(emi);
+  const n = Number(tenureMonths);
+  const r = Number(annualRate) / 12 / 100;
+
+  if (!Number.isFinite(E) || !Number.isFinite(n) || E <= 0 || n <= 0) return 0;
+  if (!Number.isFinite(r) || r <= 0) return roundCurrency(E * n);
+
+  const pow = Math.pow(1 + r, n);
+  return roundCurrency((E * (pow - 1)) / (r * pow));
+};
+
+// Upfront fees on a loan: processing fee (flat or % clamped to min/max), other charges
+// and GST on both. fees follows the Loan.fees shape.
+export const calculateLoanFees = (principal, fees = {}) => {
+  const P = Number(principal) || 0;
+  const value = Number(fees.processingFeeValue) || 0;
+
+  let processingFee = fees.processingFeeType === 'flat' ? value : P * value / 100;
+  if (processingFee > 0) {
+    processingFee = Math.max(processingFee, Number(fees.processingFeeMin) || 0);
+    if (Number(fees.processingFeeMax) > 0) {
+      processingFee = Math.min(processingFee, Number(fees.processingFeeMax));
+    }
+  }
+  processingFee = roundCurrency(processingFee);
+
+  const charges = (fees.otherCharges || []).filter(charge => Number(charge.amount) > 0);
+  const otherCharges = roundCurrency(charges.reduce((sum, charge) => sum + Number(charge.amount), 0));
+  const taxable = processingFee + charges
+    .filter(charge => charge.gstApplicable !== false)
+    .reduce((sum, charge) => sum + Number(charge.amount), 0);
+  const gst = roundCurrency(taxable * (Number(fees.gstRate) || 0) / 100);
+  const totalFees = roundCurrency(processingFee + otherCharges + gst);
+
+  return {
+    processingFee,
+    otherCharges,
+    gst,
+    totalFees,
+    netDisbursal: roundCurrency(P - totalFees)
+  };
+};
+
+// Annual percentage rate for monthly repayments: the monthly IRR of receiving netDisbursal
+// today and paying each amount in installmentAmounts a month apart, times 12.
+// Equals the interest rate when there are no fees.
+export const calculateAPR = (netDisbursal, installmentAmounts = []) => {
+  const net = Number(netDisbursal);
+  const total = installmentAmounts.reduce((sum, amount) => sum + amount, 0);
+  if (!Number.isFinite(net) || net <= 0 || !installmentAmounts.length || total <= net) return 0;
+
+  const presentValue = (rate) => installmentAmounts
+    .reduce((sum, amount, index) => sum + amount / Math.pow(1 + rate, index + 1), 0);
+
+  // presentValue falls as the rate rises, so bisect until it matches the amount received
+  let low = 0;
+  let high = 1;
+  while (presentValue(high) > net && high < 1000) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > net) low = mid; else high = mid;
+  }
+  return roundCurrency(((low + high) / 2) * 12 * 100);
+};
+
+// APR for a single repayment after a number of days (payday loans), simple annualized
+export const calculatePaydayAPR = (netDisbursal, repayment, days) => {
+  const net = Number(netDisbursal);
+  if (!Number.isFinite(net) || net <= 0 || !(days > 0) || repayment <= net) return 0;
+  return roundCurrency(((repayment - net) / net) * (365 / days) * 100);
+};
+
+// Number of months needed to repay principal with a given EMI (rounded up)
+export const calculateTenureForEMI = (principal, annualRate, emi) => {
+  const P = Number(principal);
+  const E = Number(emi);
+  const r = Number(annualRate) / 12 / 100;
+
+  if (!Number.isFinite(P) || !Number.isFinite(E) || P <= 0 || E <= 0) return 0;
+  if (!Number.isFinite(r) || r <= 0) return Math.ceil(P / E);
+  if (E <= P * r) return Infinity; // EMI does not even cover the interest
+
+  return Math.ceil(-Math.log(1 - (P * r) / E) / Math.log(1 + r));
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole calendar days between two dates (ignores time of day)
+export const daysBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+  return Math.round((end - start) / DAY_MS);
+};
+
+// Simple interest on an actual/365 day count. annualRate is a percentage.
+export const calculateDailyInterest = (principal, annualRate, days) => {
+  const P = Number(principal);
+  const rate = Number(annualRate);
+  const d = Number(days);
+  if (!Number.isFinite(P) || !Number.isFinite(rate) || !Number.isFinite(d) || P <= 0 || rate <= 0 || d <= 0) return 0;
+  return roundCurrency(P * (rate / 100) * d / 365);
+};
+
+// Due date for a payday loan: the borrower's next salary date, pushed to the following
+// month's payday if it is sooner than minDays and capped at maxDays from the start date.
+export const resolvePaydayDueDate = ({ nextSalaryDate, startDate = new Date(), minDays = 7, maxDays = 45 }) => {
+  let dueDate = nextSalaryDate ? new Date(nextSalaryDate) : null;
+
+  if (!dueDate || isNaN(dueDate.getTime())) {
+    dueDate = new Date(new Date(startDate).getTime() + maxDays * DAY_MS);
+  }
+
+  // Salary dates in the past roll forward month by month
+  while (daysBetween(startDate, dueDate) < minDays) {
+    dueDate = addMonths(dueDate, 1);
+  }
+
+  if (daysBetween(startDate, dueDate) > maxDays) {
+    dueDate = new Date(new Date(startDate).getTime() + maxDays * DAY_MS);
+  }
+
+  return { dueDate, days: daysBetween(startDate, dueDate) };
+};
+
+// Single bullet installment for a payday loan: principal + actual/365 interest on the due date
+export const buildPaydaySchedule = ({ principal, annualRate, startDate = new Date(), dueDate }) => {
+  const P = roundCurrency(principal);
+  const days = daysBetween(startDate, dueDate);
+  const interest = calculateDailyInterest(P, annualRate, days);
+  const amount = roundCurrency(P + interest);
+
+  return {
+    emi: amount,
+    days,
+    installments: [{
+      installmentNumber: 1,
+      dueDate: new Date(dueDate),
+      openingBalance: P,
+      amount,
+      principal: P,
+      interest,
+      closingBalance: 0
+    }],
+    totalInterest: interest,
+    totalPayable: amount
+  };
+};
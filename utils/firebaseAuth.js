@@ -0,0 +1,114 @@
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import AdminSettings from '../models/AdminSettings.model.js';
+
+// Verifies Firebase Auth ID tokens without the Admin SDK, following
+// https://firebase.google.com/docs/auth/admin/verify-id-tokens#verify_id_tokens_using_a_third-party_jwt_library
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CACHE_SECONDS = 60 * 60;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const MIN_FORCED_REFRESH_MS = 60 * 1000;
+
+let cachedCerts = null;
+let cachedUntil = 0;
+let lastForcedRefreshAt = 0;
+
+// Error thrown for tokens that must not be accepted
+export class FirebaseAuthError extends Error {
+  constructor(message, code = 'FIREBASE_TOKEN_INVALID') {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Certificates from FIREBASE_PUBLIC_KEYS_FILE (a { kid: pem } JSON file, for offline use and
+// tests) or Google's endpoint, cached for as long as its Cache-Control max-age allows
+const getSigningCerts = async ({ forceRefresh = false } = {}) => {
+  if (process.env.FIREBASE_PUBLIC_KEYS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.FIREBASE_PUBLIC_KEYS_FILE, 'utf8'));
+  }
+
+  if (cachedCerts && Date.now() < cachedUntil) {
+    // Tokens with made-up key ids would otherwise trigger a fetch on every request
+    if (!forceRefresh || Date.now() - lastForcedRefreshAt < MIN_FORCED_REFRESH_MS) {
+      return cachedCerts;
+    }
+    lastForcedRefreshAt = Date.now();
+  }
+
+  try {
+    const response = await fetch(GOOGLE_CERTS_URL, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+    const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1]) || DEFAULT_CACHE_SECONDS;
+    cachedCerts = await response.json();
+    cachedUntil = Date.now() + maxAge * 1000;
+    return cachedCerts;
+  } catch (error) {
+    // Google rotates keys slowly, so a stale set is better than refusing every login
+    if (cachedCerts) {
+      console.error('Could not refresh Firebase signing keys, using cached set:', error.message);
+      return cachedCerts;
+    }
+    throw new Error(`Could not load Firebase signing keys: ${error.message}`);
+  }
+};
+
+// FIREBASE_PROJECT_ID, or the project configured for the frontend in admin settings
+export const getFirebaseProjectId = async () => {
+  if (process.env.FIREBASE_PROJECT_ID) {
+    return process.env.FIREBASE_PROJECT_ID;
+  }
+  const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+  return settings?.authentication?.firebaseConfig?.projectId || null;
+};
+
+// Verify a Firebase ID token and return its claims ({ uid, email, email_verified, name, ... }).
+// Throws FirebaseAuthError when the token is not valid for this project.
+export const verifyFirebaseIdToken = async (idToken) => {
+  const projectId = await getFirebaseProjectId();
+  if (!projectId) {
+    throw new Error('Firebase login is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw new FirebaseAuthError('Malformed Firebase ID token');
+  }
+
+  let certs = await getSigningCerts();
+  if (!certs[decoded.header.kid]) {
+    // The token may be signed with a key published after our cache was filled
+    certs = await getSigningCerts({ forceRefresh: true });
+  }
+  const cert = certs[decoded.header.kid];
+  if (!cert) {
+    throw new FirebaseAuthError('Firebase ID token was signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, cert, {
+      algorithms: ['RS256'],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw new FirebaseAuthError(
+      error.name === 'TokenExpiredError' ? 'Firebase ID token has expired' : `Invalid Firebase ID token: ${error.message}`,
+      error.name === 'TokenExpiredError' ? 'FIREBASE_TOKEN_EXPIRED' : 'FIREBASE_TOKEN_INVALID'
+    );
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!claims.sub || typeof claims.sub !== 'string') {
+    throw new FirebaseAuthError('Firebase ID token has no subject');
+  }
+  if (!claims.auth_time || claims.auth_time > now + CLOCK_TOLERANCE_SECONDS) {
+    throw new FirebaseAuthError('Firebase ID token has an invalid auth time');
+  }
+
+  return { ...claims, uid: claims.sub };
+};
@@ -1,13 +1,15 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your_jwt_secret_key_here', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Short-lived access token tied to a session (see utils/authSession.js)
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET || 'your_jwt_secret_key_here', {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
 export const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 
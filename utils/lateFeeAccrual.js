@@ -0,0 +1,138 @@
+import AdminSettings from '../models/AdminSettings.model.js';
+import Application from '../models/Application.model.js';
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import { roundCurrency } from './finance.js';
+import { refreshInstallmentStatus } from './repaymentSchedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RULES = {
+  enabled: true,
+  gracePeriodDays: 3,
+  flatLateFee: 500,
+  penalInterestRate: 24
+};
+
+// Mark installments overdue once the grace period has passed and accrue charges on them.
+// Only loans that have been disbursed accrue; schedules of approved or sanctioned
+// applications exist before any money has moved.
+// Safe to run repeatedly and from several server instances: each schedule is claimed once per
+// UTC day (accrualRunOn), the flat fee is charged once per installment and penal interest
+// only for whole days not yet accrued (tracked in penalAccruedUntil).
+export const runLateFeeAccrual = async (asOf = new Date()) => {
+  const settings = await AdminSettings.findOne().sort({ createdAt: -1 });
+  const configured = settings?.lateFeeRules || {};
+  const rules = {
+    enabled: configured.enabled ?? DEFAULT_RULES.enabled,
+    gracePeriodDays: configured.gracePeriodDays ?? DEFAULT_RULES.gracePeriodDays,
+    flatLateFee: configured.flatLateFee ?? DEFAULT_RULES.flatLateFee,
+    penalInterestRate: configured.penalInterestRate ?? DEFAULT_RULES.penalInterestRate
+  };
+
+  const summary = { schedules: 0, installmentsMarkedOverdue: 0, lateFees: 0, penalInterest: 0 };
+  if (!rules.enabled) return summary;
+
+  const graceCutoff = new Date(asOf.getTime() - rules.gracePeriodDays * DAY_MS);
+  const runDay = asOf.toISOString().slice(0, 10);
+  const disbursedIds = await Application.distinct('_id', { status: 'Disbursed' });
+  const candidates = await RepaymentSchedule.find({
+    applicationId: { $in: disbursedIds },
+    status: 'Active',
+    accrualRunOn: { $ne: runDay },
+    installments: { $elemMatch: { status: { $ne: 'Paid' }, dueDate: { $lte: graceCutoff } } }
+  }).select('_id');
+
+  for (const { _id } of candidates) {
+    // Claim the schedule for today; another instance running the job skips it
+    const schedule = await RepaymentSchedule.findOneAndUpdate(
+      { _id, status: 'Active', accrualRunOn: { $ne: runDay } },
+      { $set: { accrualRunOn: runDay } },
+      { new: true }
+    );
+    if (!schedule) continue;
+
+    let changed = false;
+
+    schedule.installments.forEach(inst => {
+      if (inst.status === 'Paid' || inst.dueDate > graceCutoff) return;
+
+      if (!inst.overdueSince) {
+        inst.overdueSince = inst.dueDate;
+        summary.installmentsMarkedOverdue += 1;
+
+        if (rules.flatLateFee > 0) {
+          inst.lateFee = roundCurrency((inst.lateFee || 0) + rules.flatLateFee);
+          schedule.ledger.push({
+            type: 'late_fee',
+            amount: rules.flatLateFee,
+            charges: rules.flatLateFee,
+            installmentNumber: inst.installmentNumber,
+            description: `Late fee for installment ${inst.installmentNumber}`,
+            balanceAfter: schedule.outstandingPrincipal,
+            postedAt: asOf
+          });
+          summary.lateFees = roundCurrency(summary.lateFees + rules.flatLateFee);
+        }
+        changed = true;
+      }
+
+      // Penal interest runs from the end of the grace period on the unpaid EMI amount
+      const graceEnd = new Date(inst.dueDate.getTime() + rules.gracePeriodDays * DAY_MS);
+      const accruedUntil = inst.penalAccruedUntil || graceEnd;
+      const days = Math.floor((asOf - accruedUntil) / DAY_MS);
+      const overdueAmount = roundCurrency(inst.amount - (inst.paidAmount || 0));
+
+      if (days > 0 && rules.penalInterestRate > 0 && overdueAmount > 0) {
+        const penal = roundCurrency(overdueAmount * (rules.penalInterestRate / 100) * days / 365);
+        inst.penalAccruedUntil = new Date(accruedUntil.getTime() + days * DAY_MS);
+
+        if (penal > 0) {
+          inst.penalInterest = roundCurrency((inst.penalInterest || 0) + penal);
+          schedule.ledger.push({
+            type: 'penal_interest',
+            amount: penal,
+            charges: penal,
+            installmentNumber: inst.installmentNumber,
+            description: `Penal interest for ${days} day(s) on ₹${overdueAmount}`,
+            balanceAfter: schedule.outstandingPrincipal,
+            postedAt: asOf
+          });
+          summary.penalInterest = roundCurrency(summary.penalInterest + penal);
+        }
+        changed = true;
+      }
+
+      refreshInstallmentStatus(inst);
+    });
+
+    if (changed) {
+      await schedule.save();
+      summary.schedules += 1;
+    }
+  }
+
+  return summary;
+};
+
+let accrualTimer = null;
+
+// Run the accrual once shortly after startup and then on a fixed interval
+// (LATE_FEE_JOB_INTERVAL_HOURS, default every 24 hours).
+export const startLateFeeAccrualJob = () => {
+  if (accrualTimer) return accrualTimer;
+
+  const hours = Number(process.env.LATE_FEE_JOB_INTERVAL_HOURS) || 24;
+  const run = async () => {
+    try {
+      const summary = await runLateFeeAccrual();
+      console.log('⏰ Late fee accrual completed:', summary);
+    } catch (error) {
+      console.error('❌ Late fee accrual failed:', error.message);
+    }
+  };
+
+  setTimeout(run, 60 * 1000).unref();
+  accrualTimer = setInterval(run, hours * 60 * 60 * 1000);
+  accrualTimer.unref();
+  return accrualTimer;
+};
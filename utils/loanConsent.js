@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import LoanConsent from '../models/LoanConsent.model.js';
+import { GENERATED_DOCUMENT_TYPES, hashUploadedFile, buildTemplateData } from './loanDocuments.js';
+
+// previousHash of the first consent record ever written
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Documents a borrower must accept before disbursal
+export const CONSENT_DOCUMENT_TYPES = [GENERATED_DOCUMENT_TYPES.sanction_letter, GENERATED_DOCUMENT_TYPES.kfs];
+
+const toId = (value) => (value ? String(value._id || value) : null);
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Hash over a fixed field order so the same record always hashes the same way
+export const computeConsentHash = (record) => {
+  const payload = [
+    toId(record.applicationId),
+    toId(record.userId),
+    (record.documents || []).map(doc => [doc.type, toId(doc.documentId), doc.url, doc.sha256]),
+    ['sanctionedAmount', 'interestRate', 'tenure', 'tenureDays', 'emi', 'totalFees', 'netDisbursal', 'apr']
+      .map(field => record.terms?.[field] ?? null),
+    [toId(record.otp?.otpId), record.otp?.channel, record.otp?.sentTo, toIso(record.otp?.verifiedAt)],
+    record.ipAddress || null,
+    record.userAgent || null,
+    toIso(record.acceptedAt),
+    record.previousHash
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+};
+
+// Generated documents on the application that need accepting; missing ones are reported by type
+export const getConsentDocuments = (application) => {
+  const documents = [];
+  const missing = [];
+  for (const type of CONSENT_DOCUMENT_TYPES) {
+    const document = application.documents.find(doc => doc.type === type && doc.generated);
+    if (document) documents.push(document); else missing.push(type);
+  }
+  return { documents, missing };
+};
+
+// Terms the borrower is shown and accepts, priced on the sanctioned amount exactly as in the
+// KFS and sanction letter
+export const getAcceptanceTerms = (application, loan) => {
+  const { pricing, schedule } = buildTemplateData(application, loan, {});
+  return {
+    sanctionedAmount: application.sanctionedAmount,
+    interestRate: application.loanDetails.interestRate,
+    tenure: application.loanDetails.loanTenure,
+    tenureDays: schedule.days,
+    emi: schedule.emi,
+    totalFees: pricing.totalFees,
+    netDisbursal: pricing.netDisbursal,
+    apr: pricing.apr
+  };
+};
+
+// Append a consent record to the chain. Retries when another record claimed the same chain tip.
+export const createConsentRecord = async (fields) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const tip = await LoanConsent.findOne().sort({ createdAt: -1, _id: -1 }).select('recordHash');
+    const record = { ...fields, previousHash: tip?.recordHash || GENESIS_HASH };
+    record.recordHash = computeConsentHash(record);
+
+    try {
+      return await LoanConsent.create(record);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not record consent, please try again');
+};
+
+// Integrity of one record: its hash still matches its contents, the record it points back to
+// still exists, and the accepted files are unchanged on disk
+export const verifyConsentRecord = async (consent) => {
+  const hashValid = computeConsentHash(consent) === consent.recordHash;
+  const chainValid = consent.previousHash === GENESIS_HASH
+    || Boolean(await LoanConsent.exists({ recordHash: consent.previousHash }));
+  const documents = consent.documents.map(doc => ({
+    type: doc.type,
+    sha256: doc.sha256,
+    fileIntact: hashUploadedFile(doc.url) === doc.sha256
+  }));
+
+  return {
+    valid: hashValid && chainValid && documents.every(doc => doc.fileIntact),
+    hashValid,
+    chainValid,
+    documents
+  };
+};
+
+// Latest consent for the application that is intact and covers the documents currently on it.
+// Regenerating the KFS or sanction letter after acceptance needs a fresh consent.
+export const findValidConsent = async (application) => {
+  const consent = await LoanConsent.findOne({ applicationId: application._id }).sort({ acceptedAt: -1 });
+  if (!consent) {
+    return { consent: null, reason: 'The borrower has not accepted the sanctioned terms yet' };
+  }
+
+  const integrity = await verifyConsentRecord(consent);
+  if (!integrity.valid) {
+    return { consent: null, reason: 'The consent record failed its integrity check' };
+  }
+
+  const { documents, missing } = getConsentDocuments(application);
+  const covered = !missing.length && documents.every(document =>
+    consent.documents.some(doc => doc.type === document.type && doc.sha256 === document.sha256));
+  if (!covered) {
+    return { consent: null, reason: 'Loan documents changed after the borrower accepted them; a fresh acceptance is needed' };
+  }
+
+  return { consent, reason: null };
+};
@@ -0,0 +1,378 @@
+import PDFDocument from 'pdfkit';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Loan from '../models/Loan.model.js';
+import AdminSettings from '../models/AdminSettings.model.js';
+import DocumentTemplate from '../models/DocumentTemplate.model.js';
+import {
+  buildAmortizationSchedule,
+  buildPaydaySchedule,
+  resolvePaydayDueDate
+} from './finance.js';
+import { priceLoanDetails } from './loanPricing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Document type stored on Application.documents for each template key
+export const GENERATED_DOCUMENT_TYPES = {
+  kfs: 'Key Fact Statement',
+  sanction_letter: 'Sanction Letter'
+};
+
+// Used until an admin saves their own wording
+export const DEFAULT_TEMPLATES = {
+  kfs: {
+    title: 'Key Fact Statement',
+    body: [
+      'Date: {{date}}',
+      'Dear {{borrowerName}},',
+      'This Key Fact Statement summarises the terms of your {{loanName}} application {{applicationNumber}} with {{siteName}}. Please read it carefully before accepting the loan.',
+      'The Annual Percentage Rate (APR) of {{apr}} includes interest and all upfront fees, and is the effective annual cost of the loan. You will receive {{netDisbursal}} after fees of {{totalFees}} are deducted from the loan amount of {{loanAmount}}.'
+    ].join('\n\n'),
+    footer: 'For any questions about this statement contact {{contactEmail}} {{contactPhone}}.'
+  },
+  sanction_letter: {
+    title: 'Sanction Letter',
+    body: [
+      'Date: {{sanctionDate}}',
+      'Dear {{borrowerName}},',
+      'We are pleased to inform you that your application {{applicationNumber}} for a {{loanName}} has been sanctioned for {{sanctionedAmount}} on the terms below.',
+      'The loan is repayable in {{tenure}} at an interest rate of {{interestRate}} per annum. Disbursal is subject to acceptance of these terms and of the Key Fact Statement.',
+      'Yours sincerely,\n{{siteName}}'
+    ].join('\n\n'),
+    footer: 'This letter is system generated and does not require a signature.'
+  }
+};
+
+const formatAmount = (value) => `Rs. ${Number(value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-');
+
+const formatPercent = (value) => `${Number(value || 0).toFixed(2)}%`;
+
+// Replace {{name}} with data.name; unknown placeholders are left as they are so typos show up
+export const renderTemplate = (text = '', data = {}) => {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in data ? String(data[key]) : match));
+};
+
+// Current template for a key, falling back to the default wording
+export const getDocumentTemplate = async (key) => {
+  const saved = await DocumentTemplate.findOne({ key });
+  return saved || { key, ...DEFAULT_TEMPLATES[key], isDefault: true };
+};
+
+// Repayment schedule the borrower would get if disbursed today
+const projectSchedule = (application, loan, principal) => {
+  const { loanDetails } = application;
+  const annualRate = loanDetails.interestRate || 0;
+
+  if (loanDetails.repaymentType === 'payday') {
+    const { dueDate } = resolvePaydayDueDate({
+      nextSalaryDate: loanDetails.nextSalaryDate || loanDetails.dueDate,
+      minDays: loan.paydayTerms?.minDays,
+      maxDays: loan.paydayTerms?.maxDays
+    });
+    return buildPaydaySchedule({ principal, annualRate, dueDate });
+  }
+
+  return buildAmortizationSchedule({ principal, annualRate, tenureMonths: loanDetails.loanTenure });
+};
+
+const describeForeclosure = (foreclosure = {}) => {
+  if (foreclosure.allowed === false) return 'Not permitted';
+  const fee = foreclosure.feeType === 'flat'
+    ? formatAmount(foreclosure.feeValue)
+    : `${foreclosure.feeValue || 0}% of the principal prepaid`;
+  const lockIn = foreclosure.lockInMonths ? ` after ${foreclosure.lockInMonths} months` : '';
+  return `Permitted${lockIn}; charges ${fee}`;
+};
+
+const describeLateFees = (rules = {}) => {
+  if (rules.enabled === false) return 'None';
+  return `${formatAmount(rules.flatLateFee)} per overdue installment after a ${rules.gracePeriodDays ?? 0} day grace period, ` +
+    `plus penal interest of ${rules.penalInterestRate ?? 0}% p.a. on the overdue amount`;
+};
+
+// Placeholder values for templates plus the numbers used in the tables
+export const buildTemplateData = (application, loan, settings = {}) => {
+  const { loanDetails, personalInfo } = application;
+  const principal = application.sanctionedAmount || loanDetails.loanAmount;
+  const schedule = projectSchedule(application, loan, principal);
+  const pricing = priceLoanDetails(loan, {
+    ...loanDetails,
+    loanAmount: principal,
+    emi: schedule.emi,
+    tenureDays: schedule.days
+  });
+  const isPayday = loanDetails.repaymentType === 'payday';
+  const installments = schedule.installments;
+  const address = application.address?.current || {};
+
+  return {
+    schedule,
+    pricing,
+    isPayday,
+    placeholders: {
+      siteName: settings.siteName || 'Beforesalary',
+      contactEmail: settings.contactInfo?.email || '',
+      contactPhone: settings.contactInfo?.phone || '',
+      date: formatDate(new Date()),
+      sanctionDate: formatDate(application.sanctionedAt || new Date()),
+      applicationNumber: application.applicationNumber || '',
+      borrowerName: personalInfo.fullName,
+      borrowerEmail: personalInfo.email,
+      borrowerPhone: personalInfo.phone,
+      borrowerAddress: [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', '),
+      loanName: loan.name,
+      loanType: application.loanType,
+      loanAmount: formatAmount(principal),
+      sanctionedAmount: formatAmount(principal),
+      interestRate: formatPercent(loanDetails.interestRate),
+      tenure: isPayday ? `${schedule.days} days` : `${loanDetails.loanTenure} months`,
+      emi: formatAmount(schedule.emi),
+      installmentCount: installments.length,
+      firstDueDate: formatDate(installments[0]?.dueDate),
+      lastDueDate: formatDate(installments[installments.length - 1]?.dueDate),
+      totalInterest: formatAmount(schedule.totalInterest),
+      totalPayable: formatAmount(schedule.totalPayable),
+      processingFee: formatAmount(pricing.processingFee),
+      otherCharges: formatAmount(pricing.otherCharges),
+      gstOnFees: formatAmount(pricing.gstOnFees),
+      totalFees: formatAmount(pricing.totalFees),
+      netDisbursal: formatAmount(pricing.netDisbursal),
+      apr: formatPercent(pricing.apr),
+      foreclosureTerms: isPayday ? 'Repay any time before the due date; interest is charged for days used' : describeForeclosure(loan.foreclosure),
+      lateFeeTerms: describeLateFees(settings.lateFeeRules)
+    }
+  };
+};
+
+const keyFactRows = ({ placeholders: p, isPayday }, type) => {
+  if (type === 'sanction_letter') {
+    return [
+      ['Sanctioned amount', p.sanctionedAmount],
+      ['Interest rate (p.a.)', p.interestRate],
+      ['Tenure', p.tenure],
+      [isPayday ? 'Amount due' : 'EMI', p.emi],
+      ['Total fees (incl. GST)', p.totalFees],
+      ['Net disbursal', p.netDisbursal],
+      ['Annual Percentage Rate', p.apr]
+    ];
+  }
+
+  return [
+    ['Loan amount', p.loanAmount],
+    ['Interest rate (p.a.)', p.interestRate],
+    ['Tenure', p.tenure],
+    [isPayday ? 'Amount due' : 'EMI', p.emi],
+    ['Number of installments', String(p.installmentCount)],
+    [isPayday ? 'Due date' : 'First installment due', p.firstDueDate],
+    ['Processing fee', p.processingFee],
+    ['Other charges', p.otherCharges],
+    ['GST on fees', p.gstOnFees],
+    ['Total fees', p.totalFees],
+    ['Net disbursal', p.netDisbursal],
+    ['Total interest', p.totalInterest],
+    ['Total amount payable', p.totalPayable],
+    ['Annual Percentage Rate', p.apr],
+    ['Foreclosure / prepayment', p.foreclosureTerms],
+    ['Late payment charges', p.lateFeeTerms]
+  ];
+};
+
+// Logo as a buffer pdfkit can embed (PNG/JPEG); a missing or unreadable logo is skipped
+const loadLogo = async (siteLogo) => {
+  if (!siteLogo) return null;
+  try {
+    if (siteLogo.startsWith('/uploads/')) {
+      const filePath = path.join(uploadsDir, path.basename(siteLogo));
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    }
+    if (/^https?:\/\//.test(siteLogo)) {
+      const response = await fetch(siteLogo, { signal: AbortSignal.timeout(5000) });
+      return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+    }
+  } catch (error) {
+    console.error('Could not load site logo for PDF:', error.message);
+  }
+  return null;
+};
+
+const drawHeader = (doc, settings, logo) => {
+  const top = doc.y;
+  let textX = doc.page.margins.left;
+
+  if (logo) {
+    try {
+      doc.image(logo, textX, top, { fit: [60, 60] });
+      textX += 70;
+    } catch (error) {
+      // Unsupported image format (e.g. SVG/WebP) - header goes out without the logo
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(16).text(settings.siteName || 'Beforesalary', textX, top);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  if (settings.siteTagline) doc.text(settings.siteTagline, textX);
+  const contact = [settings.contactInfo?.email, settings.contactInfo?.phone].filter(Boolean).join(' | ');
+  if (contact) doc.text(contact, textX);
+  if (settings.contactInfo?.address) doc.text(settings.contactInfo.address, textX);
+  doc.fillColor('#000000');
+
+  doc.y = Math.max(doc.y, top + (logo ? 60 : 0)) + 10;
+  doc.moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
+  doc.moveDown();
+};
+
+// Simple bordered table; widths are fractions of the printable width
+const drawTable = (doc, rows, widths, { header } = {}) => {
+  const left = doc.page.margins.left;
+  const printable = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidths = widths.map(width => width * printable);
+  const padding = 4;
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columnWidths[i] - padding * 2 }))) + padding * 2;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.rect(x, y, columnWidths[i], height).stroke();
+      doc.text(cell, x + padding, y + padding, { width: columnWidths[i] - padding * 2 });
+      x += columnWidths[i];
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  if (header) drawRow(header, true);
+  rows.forEach(row => drawRow(row, false));
+  doc.moveDown();
+};
+
+// sha256 of a file stored under /uploads, or null when it is missing
+export const hashUploadedFile = (url = '') => {
+  const filePath = path.join(uploadsDir, path.basename(url));
+  if (!url.startsWith('/uploads/') || !fs.existsSync(filePath)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+};
+
+const writePdf = (filePath, render) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+  render(doc);
+  doc.end();
+});
+
+// Generate a KFS or sanction letter PDF for an application and store it with the
+// application's documents, keeping any earlier generated copy as a previous version.
+// The caller saves the application.
+export const generateLoanDocument = async (application, type) => {
+  if (!GENERATED_DOCUMENT_TYPES[type]) {
+    throw new Error(`Unknown document type ${type}`);
+  }
+
+  const loan = await Loan.findById(application.loanId?._id || application.loanId);
+  if (!loan) {
+    throw new Error('Loan product not found');
+  }
+
+  const settings = (await AdminSettings.findOne().sort({ createdAt: -1 })) || {};
+  const template = await getDocumentTemplate(type);
+  const data = buildTemplateData(application, loan, settings);
+  const logo = await loadLogo(settings.siteLogo);
+
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  }
+  const fileName = `${type}-${application.applicationNumber || application._id}-${Date.now()}.pdf`;
+  const filePath = path.join(uploadsDir, fileName);
+
+  await writePdf(filePath, (doc) => {
+    drawHeader(doc, settings, logo);
+
+    doc.font('Helvetica-Bold').fontSize(14).text(renderTemplate(template.title, data.placeholders), { align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(`Application No: ${data.placeholders.applicationNumber}`, { align: 'center' });
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(10);
+    renderTemplate(template.body, data.placeholders).split(/\n\s*\n/).forEach(paragraph => {
+      doc.text(paragraph.trim());
+      doc.moveDown(0.5);
+    });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(11).text(type === 'kfs' ? 'Key facts' : 'Terms of sanction');
+    doc.moveDown(0.3);
+    drawTable(doc, keyFactRows(data, type), [0.4, 0.6]);
+
+    if (type === 'kfs') {
+      doc.font('Helvetica-Bold').fontSize(11).text('Repayment schedule (indicative, from the date of disbursal)');
+      doc.moveDown(0.3);
+      drawTable(
+        doc,
+        data.schedule.installments.map(inst => [
+          String(inst.installmentNumber),
+          formatDate(inst.dueDate),
+          formatAmount(inst.amount),
+          formatAmount(inst.principal),
+          formatAmount(inst.interest),
+          formatAmount(inst.closingBalance)
+        ]),
+        [0.08, 0.18, 0.185, 0.185, 0.185, 0.185],
+        { header: ['#', 'Due date', 'Installment', 'Principal', 'Interest', 'Balance'] }
+      );
+    }
+
+    if (template.footer) {
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555')
+        .text(renderTemplate(template.footer, data.placeholders));
+      doc.fillColor('#000000');
+    }
+  });
+
+  const sha256 = hashUploadedFile(`/uploads/${fileName}`);
+  const documentType = GENERATED_DOCUMENT_TYPES[type];
+  const fields = {
+    name: `${documentType} - ${application.applicationNumber || application._id}.pdf`,
+    url: `/uploads/${fileName}`,
+    uploadedAt: new Date(),
+    status: 'Verified',
+    generated: true,
+    sha256
+  };
+
+  let document = application.documents.find(doc => doc.type === documentType && doc.generated);
+  if (document) {
+    document.previousVersions.push({
+      name: document.name,
+      url: document.url,
+      uploadedAt: document.uploadedAt,
+      status: document.status,
+      sha256: document.sha256
+    });
+    document.set(fields);
+  } else {
+    application.documents.push({ type: documentType, ...fields });
+    document = application.documents[application.documents.length - 1];
+  }
+
+  return document;
+};
@@ -0,0 +1,93 @@
+import {
+  calculateEMI,
+  calculatePrincipalForEMI,
+  calculateDailyInterest,
+  resolvePaydayDueDate,
+  roundCurrency
+} from './finance.js';
+import { isEmploymentTypeAllowed } from './eligibilityRules.js';
+
+// Offered amounts are rounded down to this step
+const OFFER_ROUNDING = 100;
+
+const roundDownAmount = (amount) => Math.floor(amount / OFFER_ROUNDING) * OFFER_ROUNDING;
+
+// Tenures to quote: min, max and evenly spaced steps in between
+const tenureOptions = (minTenure, maxTenure) => {
+  const step = maxTenure - minTenure <= 12 ? 3 : 12;
+  const options = new Set([minTenure, maxTenure]);
+  for (let tenure = Math.ceil(minTenure / step) * step; tenure < maxTenure; tenure += step) {
+    if (tenure > minTenure) options.add(tenure);
+  }
+  return [...options].sort((a, b) => a - b);
+};
+
+const notEligible = (reason, extra = {}) => ({ eligible: false, reason, maxAmount: 0, options: [], ...extra });
+
+// Work out how much a borrower can get on a loan product.
+// The EMI budget is the loan's FOIR cap applied to net income, less EMIs already being paid.
+export const buildLoanOffer = (loan, { netMonthlyIncome, existingEmis = 0, employmentType, nextSalaryDate }) => {
+  const criteria = loan.eligibilityCriteria || {};
+  const foirCap = criteria.foirCap ?? 50;
+  const annualRate = loan.interestRate?.default ?? loan.interestRate?.min ?? 0;
+  const base = { foirCap, interestRate: annualRate };
+
+  if (employmentType && !isEmploymentTypeAllowed(criteria.employmentType, employmentType)) {
+    return notEligible(`Employment type ${employmentType} is not accepted for this loan`, base);
+  }
+  if (netMonthlyIncome < (criteria.minIncome ?? 0)) {
+    return notEligible(`Minimum net monthly income for this loan is ₹${criteria.minIncome.toLocaleString('en-IN')}`, base);
+  }
+
+  const maxEmi = roundCurrency(netMonthlyIncome * foirCap / 100 - existingEmis);
+  if (maxEmi <= 0) {
+    return notEligible('Existing EMIs already use up the allowed share of income', { ...base, maxEmi: 0 });
+  }
+
+  let options;
+  if (loan.repaymentType === 'payday') {
+    // One repayment on payday: principal plus interest must fit within the budget
+    const { dueDate, days } = resolvePaydayDueDate({
+      nextSalaryDate,
+      minDays: loan.paydayTerms?.minDays,
+      maxDays: loan.paydayTerms?.maxDays
+    });
+    const dailyFactor = 1 + (annualRate / 100) * days / 365;
+    const amount = Math.min(roundDownAmount(maxEmi / dailyFactor), loan.maxLoanAmount);
+    const interest = calculateDailyInterest(amount, annualRate, days);
+    options = [{
+      tenureDays: days,
+      dueDate,
+      amount,
+      emi: roundCurrency(amount + interest),
+      totalInterest: interest,
+      totalPayable: roundCurrency(amount + interest)
+    }];
+  } else {
+    options = tenureOptions(loan.minTenure, loan.maxTenure).map(tenure => {
+      const amount = Math.min(roundDownAmount(calculatePrincipalForEMI(maxEmi, annualRate, tenure)), loan.maxLoanAmount);
+      const emi = calculateEMI(amount, annualRate, tenure);
+      const totalPayable = roundCurrency(emi * tenure);
+      return {
+        tenure,
+        amount,
+        emi,
+        totalInterest: roundCurrency(totalPayable - amount),
+        totalPayable
+      };
+    });
+  }
+
+  options = options.filter(option => option.amount >= loan.minLoanAmount);
+  if (!options.length) {
+    return notEligible(`The EMI you can afford does not cover the minimum loan of ₹${loan.minLoanAmount.toLocaleString('en-IN')}`, { ...base, maxEmi });
+  }
+
+  return {
+    eligible: true,
+    ...base,
+    maxEmi,
+    maxAmount: Math.max(...options.map(option => option.amount)),
+    options
+  };
+};
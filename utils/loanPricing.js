@@ -0,0 +1,83 @@
+import {
+  buildAmortizationSchedule,
+  calculateAPR,
+  calculateLoanFees,
+  calculatePaydayAPR,
+  calculateEMI,
+  calculateDailyInterest,
+  resolvePaydayDueDate,
+  roundCurrency
+} from './finance.js';
+
+// Fee breakdown, net disbursal and APR for an application's loanDetails on a loan product.
+// Returns fields to merge into Application.loanDetails.
+export const priceLoanDetails = (loan, loanDetails) => {
+  const { loanAmount, loanTenure, interestRate, repaymentType, tenureDays, emi } = loanDetails;
+  const { processingFee, otherCharges, gst, totalFees, netDisbursal } = calculateLoanFees(loanAmount, loan.fees);
+
+  let apr;
+  if (repaymentType === 'payday') {
+    apr = calculatePaydayAPR(netDisbursal, emi, tenureDays);
+  } else {
+    const { installments } = buildAmortizationSchedule({
+      principal: loanAmount,
+      annualRate: interestRate || 0,
+      tenureMonths: loanTenure
+    });
+    apr = calculateAPR(netDisbursal, installments.map(inst => inst.amount));
+  }
+
+  return {
+    processingFee,
+    otherCharges,
+    gstOnFees: gst,
+    totalFees,
+    netDisbursal,
+    apr
+  };
+};
+
+// Check an amount and tenure against a loan product's limits. Returns an error message or null.
+export const checkLoanLimits = (loan, { loanAmount, loanTenure }) => {
+  if (!Number.isFinite(loanAmount) || loanAmount < loan.minLoanAmount || loanAmount > loan.maxLoanAmount) {
+    return `Loan amount must be between ₹${loan.minLoanAmount.toLocaleString()} and ₹${loan.maxLoanAmount.toLocaleString()}`;
+  }
+  if (loan.repaymentType !== 'payday' &&
+      (!Number.isFinite(loanTenure) || loanTenure < loan.minTenure || loanTenure > loan.maxTenure)) {
+    return `Loan tenure must be between ${loan.minTenure} and ${loan.maxTenure} months`;
+  }
+  return null;
+};
+
+// Full loanDetails for an amount and tenure on a loan product. Rate, EMI (or the payday amount
+// and due date) and fees always come from the loan, never from client input.
+export const quoteLoanDetails = (loan, { loanAmount, loanTenure, nextSalaryDate, purpose }) => {
+  const isPayday = loan.repaymentType === 'payday';
+  const interestRate = loan.interestRate?.default ?? loan.interestRate?.min ?? 0;
+  const tenure = isPayday ? 1 : loanTenure;
+  const loanDetails = {
+    loanAmount,
+    loanTenure: tenure,
+    purpose,
+    interestRate,
+    emi: calculateEMI(loanAmount, interestRate, tenure),
+    repaymentType: 'emi'
+  };
+
+  if (isPayday) {
+    const { dueDate, days } = resolvePaydayDueDate({
+      nextSalaryDate,
+      minDays: loan.paydayTerms?.minDays,
+      maxDays: loan.paydayTerms?.maxDays
+    });
+    Object.assign(loanDetails, {
+      emi: roundCurrency(loanAmount + calculateDailyInterest(loanAmount, interestRate, days)),
+      repaymentType: 'payday',
+      nextSalaryDate,
+      dueDate,
+      tenureDays: days
+    });
+  }
+
+  return { ...loanDetails, ...priceLoanDetails(loan, loanDetails) };
+};
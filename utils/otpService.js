@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import OTP from '../models/OTP.model.js';
+import { generateOTP } from './generateToken.js';
+import { sendOTPEmail } from './sendEmail.js';
+import { sendSms } from './sms/index.js';
+
+// All OTPs (login, verification, password reset, applications, repayments, ...) go through here:
+// codes are hashed at rest, guesses per code are capped and sends are throttled per
+// destination and per IP.
+
+export const OTP_EXPIRY_SECONDS = 600; // 10 minutes
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const getOtpLimits = () => ({
+  maxAttempts: envNumber('OTP_MAX_ATTEMPTS', 5),
+  resendCooldownSeconds: envNumber('OTP_RESEND_COOLDOWN_SECONDS', 60),
+  dailyLimit: envNumber('OTP_DAILY_LIMIT', 10),
+  dailyLimitPerIp: envNumber('OTP_DAILY_LIMIT_PER_IP', 30)
+});
+
+// Error returned by the service; routes pass it to sendOtpError
+const otpError = (status, code, message, extra = {}) => ({ error: { status, code, message, ...extra } });
+
+const destinationOf = ({ email, phone }) => (email ? { email: String(email).toLowerCase().trim() } : { phone: String(phone).trim() });
+
+// Keyed hash so a leaked OTP collection can't be brute-forced offline
+const hashOtp = (code, purpose, destination) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_key_here';
+  return crypto.createHmac('sha256', secret)
+    .update(`${purpose}:${destination.email || destination.phone}:${code}`)
+    .digest('hex');
+};
+
+const maskPhone = (phone) => String(phone).slice(-4).padStart(String(phone).length, '*');
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+// Create a new OTP for an email or phone. Returns { otp, record } with the plain code for
+// delivery, or { error } when a cooldown or daily cap applies. Earlier codes stop working.
+export const requestOtp = async ({ email, phone, purpose = 'verification', ipAddress, userId }) => {
+  if (!email && !phone) {
+    return otpError(400, 'OTP_DESTINATION_REQUIRED', 'Please provide email or phone');
+  }
+
+  const destination = destinationOf({ email, phone });
+  const limits = getOtpLimits();
+  const now = new Date();
+  const dayAgo = new Date(now.getTime() - DAY_MS);
+
+  const latest = await OTP.findOne({ ...destination, purpose }).sort({ createdAt: -1 });
+  if (latest) {
+    const nextAllowedAt = new Date(latest.createdAt.getTime() + limits.resendCooldownSeconds * 1000);
+    if (nextAllowedAt > now) {
+      const retryAfter = secondsUntil(nextAllowedAt, now);
+      return otpError(429, 'OTP_COOLDOWN', `Please wait ${retryAfter} seconds before requesting another OTP`, { retryAfter });
+    }
+  }
+
+  const windows = [
+    { filter: destination, limit: limits.dailyLimit, message: 'Too many OTPs requested for this email or phone today' }
+  ];
+  if (ipAddress) {
+    windows.push({ filter: { ipAddress }, limit: limits.dailyLimitPerIp, message: 'Too many OTPs requested from this network today' });
+  }
+
+  for (const { filter, limit, message } of windows) {
+    const recent = { ...filter, createdAt: { $gt: dayAgo } };
+    if (await OTP.countDocuments(recent) >= limit) {
+      const oldest = await OTP.findOne(recent).sort({ createdAt: 1 }).select('createdAt');
+      const retryAfter = secondsUntil(new Date(oldest.createdAt.getTime() + DAY_MS), now);
+      return otpError(429, 'OTP_DAILY_LIMIT', `${message}. Please try again later.`, { retryAfter });
+    }
+  }
+
+  // Only the newest code for a destination and purpose is valid
+  await OTP.updateMany(
+    { ...destination, purpose, verified: false, expiresAt: { $gt: now } },
+    { $set: { expiresAt: now } }
+  );
+
+  const otp = generateOTP();
+  const record = await OTP.create({
+    ...destination,
+    purpose,
+    userId,
+    ipAddress,
+    codeHash: hashOtp(otp, purpose, destination),
+    expiresAt: new Date(now.getTime() + OTP_EXPIRY_SECONDS * 1000),
+    purgeAt: new Date(now.getTime() + DAY_MS + HOUR_MS)
+  });
+
+  return { otp, record };
+};
+
+// Check a code against the latest OTP for the destination and purpose.
+// Returns { record } on success (the code can't be used again) or { error }.
+export const verifyOtp = async ({ email, phone, purpose = 'verification', code }) => {
+  if ((!email && !phone) || !code) {
+    return otpError(400, 'OTP_REQUIRED', 'Please provide OTP and email or phone');
+  }
+
+  const destination = destinationOf({ email, phone });
+  const limits = getOtpLimits();
+  const now = new Date();
+
+  const latest = await OTP.findOne({ ...destination, purpose, verified: false }).sort({ createdAt: -1 });
+  if (!latest) {
+    return otpError(400, 'OTP_NOT_FOUND', 'Invalid OTP or OTP not found');
+  }
+  if (latest.expiresAt <= now) {
+    return otpError(400, 'OTP_EXPIRED', 'OTP has expired. Please request a new one.');
+  }
+
+  // Count the guess before checking it so parallel guesses can't exceed the cap
+  const record = await OTP.findOneAndUpdate(
+    { _id: latest._id, attempts: { $lt: limits.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    const nextAllowedAt = new Date(latest.createdAt.getTime() + limits.resendCooldownSeconds * 1000);
+    return otpError(429, 'OTP_ATTEMPTS_EXCEEDED', 'Too many incorrect attempts. Please request a new OTP.', {
+      retryAfter: nextAllowedAt > now ? secondsUntil(nextAllowedAt, now) : 0
+    });
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(String(code).trim(), purpose, destination), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const attemptsRemaining = limits.maxAttempts - record.attempts;
+    return otpError(400, 'OTP_INVALID', attemptsRemaining > 0
+      ? `Invalid OTP. ${attemptsRemaining} attempt(s) remaining.`
+      : 'Invalid OTP. Please request a new OTP.', { attemptsRemaining });
+  }
+
+  record.verified = true;
+  record.verifiedAt = now;
+  await record.save();
+
+  return { record };
+};
+
+// Send the code for an OTP record by email, or by SMS for phone numbers, and record the
+// outcome on it. Returns { success } or { success: false, error, code } like sendOTPEmail.
+export const deliverOtp = async (record, otp, purposeLabel = 'verification') => {
+  let result;
+  let delivery;
+
+  if (record.email) {
+    try {
+      result = await sendOTPEmail(record.email, otp, purposeLabel);
+    } catch (error) {
+      result = { success: false, error: error.message, code: error.code };
+    }
+    delivery = {
+      channel: 'email',
+      provider: 'smtp',
+      messageId: result.messageId,
+      status: result.success ? 'sent' : 'failed',
+      error: result.success ? undefined : result.error
+    };
+  } else {
+    let sms;
+    try {
+      sms = await sendSms({ to: record.phone, template: 'otp', values: [otp, purposeLabel] });
+    } catch (error) {
+      sms = { status: 'failed', error: error.message };
+    }
+    if (sms.status === 'failed') {
+      console.error(`OTP SMS to ${maskPhone(record.phone)} failed:`, sms.error);
+    }
+    result = sms.status === 'failed'
+      ? { success: false, error: 'Failed to send OTP SMS', code: 'SMS_FAILED' }
+      : { success: true, messageId: sms.messageId };
+    delivery = {
+      channel: 'sms',
+      provider: sms.provider,
+      messageId: sms.messageId,
+      status: sms.status,
+      error: sms.error
+    };
+  }
+
+  record.delivery = {
+    ...delivery,
+    sentAt: new Date(),
+    ...(delivery.status === 'delivered' && { deliveredAt: new Date() })
+  };
+  await record.save();
+
+  return result;
+};
+
+// Respond with a service error, adding a Retry-After header when there is one
+export const sendOtpError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+    ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+  });
+};
+
+// Codes that sign a loan agreement must reach the borrower, so they are never echoed
+const NO_ECHO_PURPOSES = ['loan_acceptance'];
+
+// { devOtp } for API responses, only when OTP_DEV_ECHO=true outside production (local testing)
+export const devOtpField = (otp, purpose) => (
+  otp && process.env.OTP_DEV_ECHO === 'true' && process.env.NODE_ENV !== 'production' && !NO_ECHO_PURPOSES.includes(purpose)
+    ? { devOtp: otp }
+    : {}
+);
+
+// Common fields for a successful send response
+export const otpSentResponse = (message, otp, purpose) => ({
+  success: true,
+  message,
+  otpExpiresIn: OTP_EXPIRY_SECONDS,
+  resendAfter: getOtpLimits().resendCooldownSeconds,
+  ...devOtpField(otp, purpose)
+});
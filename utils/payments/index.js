@@ -0,0 +1,274 @@
+import Payment from '../../models/Payment.model.js';
+import PaymentEvent from '../../models/PaymentEvent.model.js';
+import {
+  postPaymentToSchedule,
+  reversePaymentOnSchedule,
+  applyPrepaymentToSchedule,
+  applyForeclosureToSchedule,
+  getForeclosureConfig
+} from '../repaymentSchedule.js';
+import { roundCurrency } from '../finance.js';
+import mockProvider from './mockProvider.js';
+
+// Registered gateway adapters. Each adapter implements:
+//   createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, ... }
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   parseWebhookEvent(body) -> { eventId, type, orderId, paymentId, refundId, amount, failureReason }
+//   refund({ paymentId, amount }) -> { refundId, status }
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+// The mock gateway signs with a test secret, so it is never accepted in production
+const isMockBlocked = (name) => name === 'mock' && process.env.NODE_ENV === 'production';
+
+// Whether a webhook or callback for this provider name can be handled here
+export const hasPaymentProvider = (name) => Object.hasOwn(providers, name) && !isMockBlocked(name);
+
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not configured');
+  }
+  if (!Object.hasOwn(providers, name)) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (isMockBlocked(name)) {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  return providers[name];
+};
+
+// Create a gateway order for an Initiated payment and store the order id on it
+export const createPaymentOrder = async (payment) => {
+  const provider = getPaymentProvider();
+  const order = await provider.createOrder({
+    amount: payment.amount,
+    currency: 'INR',
+    receipt: payment._id.toString(),
+    notes: {
+      applicationId: payment.applicationId.toString(),
+      purpose: payment.purpose
+    }
+  });
+
+  payment.provider = provider.name;
+  payment.providerOrderId = order.orderId;
+  await payment.save();
+
+  return order;
+};
+
+// Purposes that are posted to the loan's repayment schedule
+const SCHEDULE_PURPOSES = ['repayment', 'prepayment', 'foreclosure'];
+
+// Post a collected repayment, prepayment or foreclosure to the loan's schedule and mark it Success
+export const postCapturedPayment = async (payment, { postedBy } = {}) => {
+  if (payment.purpose === 'prepayment') {
+    return applyPrepaymentToSchedule(payment, await getForeclosureConfig(payment.applicationId), { postedBy });
+  }
+  if (payment.purpose === 'foreclosure') {
+    return applyForeclosureToSchedule(payment, await getForeclosureConfig(payment.applicationId), { postedBy });
+  }
+  return postPaymentToSchedule(payment, { postedBy });
+};
+
+// Mark a payment as captured. Safe to call more than once for the same payment:
+// only the first caller moves it out of Initiated and posts it.
+export const capturePayment = async (payment, { providerPaymentId, paidAt } = {}) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'Initiated' },
+    { status: 'Processing', ...(providerPaymentId && { providerPaymentId }) },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { alreadyProcessed: true, payment: await Payment.findById(payment._id) };
+  }
+
+  claimed.paidAt = paidAt || new Date();
+
+  if (SCHEDULE_PURPOSES.includes(claimed.purpose)) {
+    try {
+      const result = await postCapturedPayment(claimed);
+      return { payment: result.payment };
+    } catch (error) {
+      // Money was collected but could not be applied. An admin can post it again through
+      // POST /api/repayments/:paymentId/confirm or refund it.
+      claimed.status = 'NeedsReconciliation';
+      claimed.failureReason = `Could not post to schedule: ${error.message}`;
+      await claimed.save();
+      throw error;
+    }
+  }
+
+  claimed.status = 'Success';
+  await claimed.save();
+  return { payment: claimed };
+};
+
+export const failPayment = async (payment, { providerPaymentId, reason } = {}) => {
+  return Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'Initiated' },
+    {
+      status: 'Failed',
+      failureReason: reason || 'Payment failed',
+      ...(providerPaymentId && { providerPaymentId })
+    },
+    { new: true }
+  );
+};
+
+// Refund a successful payment through its gateway.
+// Repayments can only be refunded in full, since the refund reverses their ledger postings.
+// The schedule is reversed and a pending refund recorded before the gateway is called, so
+// money is never returned for a payment the loan still counts as paid.
+export const refundPayment = async (payment, { amount, reason, requestedBy } = {}) => {
+  if (!['Success', 'NeedsReconciliation'].includes(payment.status)) {
+    throw new Error('Only successful or unreconciled payments can be refunded');
+  }
+  // Never posted to the schedule, so there is nothing to reverse
+  const posted = payment.status === 'Success';
+  if (payment.channel !== 'online' || !payment.provider) {
+    throw new Error('Offline payments must be refunded outside the gateway');
+  }
+
+  const refundable = roundCurrency(payment.amount - (payment.refundedAmount || 0));
+  const refundAmount = roundCurrency(amount !== undefined ? Number(amount) : refundable);
+
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw new Error(`Refund amount must be between 0 and ${refundable}`);
+  }
+  if (posted && ['prepayment', 'foreclosure'].includes(payment.purpose)) {
+    throw new Error('Prepayments and foreclosures cannot be refunded once the schedule has been rebuilt');
+  }
+  if ((!posted || payment.purpose === 'repayment') && refundAmount !== payment.amount) {
+    throw new Error('Repayments can only be refunded in full');
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const reverses = posted && payment.purpose === 'repayment';
+
+  payment.refunds.push({ amount: refundAmount, reason, status: 'pending', requestedBy });
+  const refund = payment.refunds[payment.refunds.length - 1];
+  payment.refundedAmount = roundCurrency((payment.refundedAmount || 0) + refundAmount);
+
+  if (reverses) {
+    await reversePaymentOnSchedule(payment, { postedBy: requestedBy, reason });
+  }
+  await payment.save();
+
+  let result;
+  try {
+    result = await provider.refund({ paymentId: payment.providerPaymentId, amount: refundAmount });
+  } catch (error) {
+    refund.status = 'failed';
+    payment.refundedAmount = roundCurrency(payment.refundedAmount - refundAmount);
+    if (reverses) {
+      // The money is still held but no longer counted on the schedule. A retried refund
+      // goes straight to the gateway; posting it again goes through /api/repayments/:paymentId/confirm.
+      payment.status = 'NeedsReconciliation';
+      payment.failureReason = `Refund failed after the schedule was reversed: ${error.message}`;
+    }
+    await payment.save();
+    throw error;
+  }
+
+  refund.refundId = result.refundId;
+  if (result.status === 'processed') {
+    refund.status = 'processed';
+  }
+  if (payment.refundedAmount >= payment.amount) {
+    payment.status = 'Refunded';
+  }
+  await payment.save();
+
+  return payment;
+};
+
+// Handle a webhook delivery. Every delivery is stored as received, then processed at
+// most once per provider event id.
+export const processWebhook = async (providerName, rawBody, headers = {}) => {
+  const provider = getPaymentProvider(providerName);
+
+  let body = null;
+  try {
+    body = JSON.parse(rawBody || '{}');
+  } catch (error) {
+    body = null;
+  }
+
+  const signatureValid = Boolean(body) && provider.verifyWebhookSignature(rawBody, headers);
+  const parsed = body ? provider.parseWebhookEvent(body) : {};
+
+  const event = await PaymentEvent.create({
+    provider: provider.name,
+    eventId: parsed.eventId,
+    type: parsed.type,
+    providerOrderId: parsed.orderId,
+    providerPaymentId: parsed.paymentId,
+    rawBody,
+    headers,
+    signatureValid
+  });
+
+  const finish = async (status, extra = {}) => {
+    Object.assign(event, { status, processedAt: new Date(), ...extra });
+    await event.save();
+    return event;
+  };
+
+  if (!signatureValid) {
+    return finish('rejected', { error: body ? 'Invalid signature' : 'Malformed payload' });
+  }
+
+  if (parsed.eventId) {
+    const earlier = await PaymentEvent.findOne({
+      _id: { $ne: event._id },
+      provider: provider.name,
+      eventId: parsed.eventId,
+      status: 'processed'
+    });
+    if (earlier) {
+      return finish('duplicate');
+    }
+  }
+
+  const payment = await Payment.findOne({ provider: provider.name, providerOrderId: parsed.orderId });
+  if (!payment) {
+    return finish('ignored', { error: 'No payment found for this order' });
+  }
+  event.paymentId = payment._id;
+
+  try {
+    if (parsed.type === 'payment.captured') {
+      // Never post a capture for a different amount than the order; hold it for an admin instead
+      if (roundCurrency(Number(parsed.amount)) !== payment.amount) {
+        await Payment.findOneAndUpdate(
+          { _id: payment._id, status: 'Initiated' },
+          {
+            status: 'NeedsReconciliation',
+            providerPaymentId: parsed.paymentId,
+            failureReason: `Captured amount ${parsed.amount} does not match payment amount ${payment.amount}`
+          }
+        );
+        return finish('error', { error: `Amount mismatch: captured ${parsed.amount}, expected ${payment.amount}` });
+      }
+      await capturePayment(payment, { providerPaymentId: parsed.paymentId });
+    } else if (parsed.type === 'payment.failed') {
+      await failPayment(payment, { providerPaymentId: parsed.paymentId, reason: parsed.failureReason });
+    } else if (parsed.type === 'refund.processed') {
+      const refund = payment.refunds.find(r => r.refundId === parsed.refundId);
+      if (refund) {
+        refund.status = 'processed';
+        await payment.save();
+      }
+    } else {
+      return finish('ignored', { error: `Unhandled event type: ${parsed.type}` });
+    }
+  } catch (error) {
+    return finish('error', { error: error.message });
+  }
+
+  return finish('processed');
+};
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+// Offline stand-in for a real gateway. Orders, signatures and webhooks follow the
+// same shape a real provider adapter returns, so the rest of the flow can be tested
+// end to end without network access.
+
+const getSecret = () => {
+  if (!process.env.MOCK_PAYMENT_SECRET) {
+    throw new Error('MOCK_PAYMENT_SECRET is not configured');
+  }
+  return process.env.MOCK_PAYMENT_SECRET;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const buildWebhook = (event, payload) => {
+  const rawBody = JSON.stringify({
+    id: randomId('evt'),
+    event,
+    createdAt: new Date().toISOString(),
+    payload
+  });
+  return { rawBody, headers: { 'x-mock-signature': sign(rawBody) } };
+};
+
+const mockProvider = {
+  name: 'mock',
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    return {
+      orderId: randomId('order'),
+      amount,
+      currency,
+      receipt,
+      notes,
+      status: 'created'
+    };
+  },
+
+  // Signature the checkout page hands back to the client after a successful payment
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return safeEqual(sign(`${orderId}|${paymentId}`), signature);
+  },
+
+  verifyWebhookSignature(rawBody, headers = {}) {
+    return safeEqual(sign(rawBody || ''), headers['x-mock-signature']);
+  },
+
+  parseWebhookEvent(body) {
+    const payload = body?.payload || {};
+    return {
+      eventId: body?.id,
+      type: body?.event,
+      orderId: payload.orderId,
+      paymentId: payload.paymentId,
+      refundId: payload.refundId,
+      amount: payload.amount,
+      failureReason: payload.failureReason
+    };
+  },
+
+  async refund({ paymentId, amount }) {
+    return {
+      refundId: randomId('rfnd'),
+      paymentId,
+      amount,
+      status: 'processed'
+    };
+  },
+
+  // Simulate the borrower completing checkout.
+  // outcome: 'success' | 'failure' | 'delayed' (success whose webhook arrives after delayMs)
+  // deliver(rawBody, headers) is called with the webhook the gateway would send.
+  simulateCheckout({ orderId, amount, outcome = 'success', delayMs = 5000 }, deliver) {
+    const paymentId = randomId('pay');
+
+    if (outcome === 'failure') {
+      const webhook = buildWebhook('payment.failed', {
+        orderId,
+        paymentId,
+        amount,
+        failureReason: 'Payment declined by issuing bank (simulated)'
+      });
+      setImmediate(() => deliver(webhook.rawBody, webhook.headers));
+      return { status: 'failed', orderId, paymentId };
+    }
+
+    const webhook = buildWebhook('payment.captured', { orderId, paymentId, amount });
+    if (outcome === 'delayed') {
+      setTimeout(() => deliver(webhook.rawBody, webhook.headers), Number(delayMs) || 0);
+      return { status: 'pending', orderId, paymentId };
+    }
+
+    setImmediate(() => deliver(webhook.rawBody, webhook.headers));
+    return {
+      status: 'captured',
+      orderId,
+      paymentId,
+      signature: sign(`${orderId}|${paymentId}`)
+    };
+  }
+};
+
+export default mockProvider;
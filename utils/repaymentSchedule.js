@@ -0,0 +1,603 @@
+import RepaymentSchedule from '../models/RepaymentSchedule.model.js';
+import Application from '../models/Application.model.js';
+import Loan from '../models/Loan.model.js';
+import {
+  buildAmortizationSchedule,
+  buildPaydaySchedule,
+  calculateTenureForEMI,
+  resolvePaydayDueDate,
+  roundCurrency
+} from './finance.js';
+
+// Create the installment schedule for an approved application.
+// If a schedule already exists it is returned unchanged.
+// Options:
+//   startDate  - date the first installment is counted from (defaults to approval date)
+//   principal  - amount to amortize (defaults to loanDetails.loanAmount)
+//   generatedBy - admin who triggered the generation
+export const generateScheduleForApplication = async (application, { startDate, principal, generatedBy } = {}) => {
+  const existing = await RepaymentSchedule.findOne({ applicationId: application._id });
+  if (existing) return existing;
+
+  const { loanAmount, loanTenure, interestRate } = application.loanDetails || {};
+  const amount = principal || loanAmount;
+  if (!amount || !loanTenure) {
+    throw new Error('Application is missing loan amount or tenure');
+  }
+
+  const start = startDate || application.approvedAt || new Date();
+  const isPayday = application.loanDetails.repaymentType === 'payday';
+  let plan;
+
+  if (isPayday) {
+    // Payday loans are repaid in one go on the salary date, counted from the actual start date
+    const loan = await Loan.findById(application.loanId).select('paydayTerms');
+    const { dueDate } = resolvePaydayDueDate({
+      nextSalaryDate: application.loanDetails.nextSalaryDate,
+      startDate: start,
+      minDays: loan?.paydayTerms?.minDays,
+      maxDays: loan?.paydayTerms?.maxDays
+    });
+    plan = buildPaydaySchedule({ principal: amount, annualRate: interestRate || 0, startDate: start, dueDate });
+  } else {
+    plan = buildAmortizationSchedule({
+      principal: amount,
+      annualRate: interestRate || 0,
+      tenureMonths: loanTenure,
+      startDate: start
+    });
+  }
+  const { emi, installments, totalInterest, totalPayable } = plan;
+
+  return RepaymentSchedule.create({
+    applicationId: application._id,
+    userId: application.userId?._id || application.userId,
+    principal: amount,
+    annualRate: interestRate || 0,
+    tenureMonths: isPayday ? 1 : loanTenure,
+    repaymentType: isPayday ? 'payday' : 'emi',
+    tenureDays: plan.days,
+    emi,
+    startDate: start,
+    installments,
+    totalInterest,
+    totalPayable,
+    outstandingPrincipal: amount,
+    generatedBy
+  });
+};
+
+// Rebuild the schedule from scratch (e.g. once the actual disbursement date is known).
+// Refuses to touch a schedule that already has payments posted against it.
+export const regenerateScheduleForApplication = async (application, options = {}) => {
+  const existing = await RepaymentSchedule.findOne({ applicationId: application._id });
+  if (existing) {
+    const hasPayments = existing.installments.some(inst => inst.paidAmount > 0);
+    if (hasPayments) {
+      throw new Error('Cannot regenerate a schedule that already has payments');
+    }
+    await RepaymentSchedule.deleteOne({ _id: existing._id });
+  }
+  return generateScheduleForApplication(application, options);
+};
+
+// Late fee + penal interest still owed on an installment
+export const chargesOutstanding = (inst) => roundCurrency(
+  (inst.lateFee || 0) + (inst.penalInterest || 0) - (inst.chargesWaived || 0) - (inst.chargesPaid || 0)
+);
+
+// Amount still owed on a single installment, including overdue charges
+const installmentBalance = (inst) => roundCurrency(inst.amount - (inst.paidAmount || 0) + chargesOutstanding(inst));
+
+// Recompute an installment's status after money or charges move
+export const refreshInstallmentStatus = (inst, paidAt) => {
+  if ((inst.paidAmount || 0) >= inst.amount && chargesOutstanding(inst) <= 0) {
+    inst.status = 'Paid';
+    if (paidAt) inst.paidAt = paidAt;
+  } else if (inst.overdueSince) {
+    inst.status = 'Overdue';
+  } else {
+    inst.status = (inst.paidAmount || 0) > 0 ? 'Partially Paid' : 'Pending';
+  }
+};
+
+// Summarise what the borrower owes as of a given date
+export const getOutstandingDues = (schedule, asOf = new Date()) => {
+  const unpaid = schedule.installments.filter(inst => inst.status !== 'Paid');
+  const due = unpaid.filter(inst => new Date(inst.dueDate) <= asOf);
+  const next = unpaid.find(inst => new Date(inst.dueDate) > asOf);
+
+  return {
+    amountDue: roundCurrency(due.reduce((sum, inst) => sum + installmentBalance(inst), 0)),
+    overdueInstallments: due.map(inst => ({
+      installmentNumber: inst.installmentNumber,
+      dueDate: inst.dueDate,
+      amount: installmentBalance(inst),
+      charges: chargesOutstanding(inst)
+    })),
+    chargesOutstanding: roundCurrency(unpaid.reduce((sum, inst) => sum + chargesOutstanding(inst), 0)),
+    nextInstallment: next ? {
+      installmentNumber: next.installmentNumber,
+      dueDate: next.dueDate,
+      amount: installmentBalance(next)
+    } : null,
+    totalOutstanding: roundCurrency(unpaid.reduce((sum, inst) => sum + installmentBalance(inst), 0)),
+    outstandingPrincipal: schedule.outstandingPrincipal,
+    totalPaid: schedule.totalPaid || 0,
+    status: schedule.status
+  };
+};
+
+// Post a successful payment against the schedule.
+// Money is allocated to the oldest unpaid installment first: interest, then principal,
+// then any late fee / penal interest on that installment.
+// Updates the schedule, the payment and (when fully repaid) closes the application.
+// Mark a schedule Closed once every installment is paid. Returns true if it was closed now;
+// the caller saves the schedule and then calls closeRepaidApplication.
+export const closeScheduleIfRepaid = (schedule, closedAt = new Date()) => {
+  if (schedule.status === 'Closed' || !schedule.installments.every(inst => inst.status === 'Paid')) {
+    return false;
+  }
+  schedule.status = 'Closed';
+  schedule.closedAt = closedAt;
+  return true;
+};
+
+// Move the application behind a fully repaid schedule to Closed
+export const closeRepaidApplication = async (applicationId, { closedAt = new Date(), changedBy } = {}) => {
+  const application = await Application.findById(applicationId);
+  if (application?.canTransitionTo('Closed')) {
+    application.transitionTo('Closed', { changedBy, comment: 'Loan fully repaid' });
+    application.closedAt = closedAt;
+    await application.save();
+  }
+  return application;
+};
+
+export const postPaymentToSchedule = async (payment, { postedBy } = {}) => {
+  const schedule = await RepaymentSchedule.findOne({ applicationId: payment.applicationId });
+  if (!schedule) {
+    throw new Error('Repayment schedule not found for this application');
+  }
+
+  const { totalOutstanding } = getOutstandingDues(schedule);
+  if (roundCurrency(payment.amount) > totalOutstanding) {
+    throw new Error(`Payment exceeds the total outstanding amount of ${totalOutstanding}`);
+  }
+
+  const paidAt = payment.paidAt || new Date();
+  let remaining = roundCurrency(payment.amount);
+  const allocations = [];
+
+  for (const inst of schedule.installments) {
+    if (remaining <= 0) break;
+    if (inst.status === 'Paid') continue;
+
+    const interestPaidSoFar = Math.min(inst.paidAmount || 0, inst.interest);
+    const principalPaidSoFar = roundCurrency((inst.paidAmount || 0) - interestPaidSoFar);
+
+    const interestPart = roundCurrency(Math.min(remaining, inst.interest - interestPaidSoFar));
+    remaining = roundCurrency(remaining - interestPart);
+    const principalPart = roundCurrency(Math.min(remaining, inst.principal - principalPaidSoFar));
+    remaining = roundCurrency(remaining - principalPart);
+
+    const chargesPart = roundCurrency(Math.min(remaining, Math.max(chargesOutstanding(inst), 0)));
+    remaining = roundCurrency(remaining - chargesPart);
+
+    inst.paidAmount = roundCurrency((inst.paidAmount || 0) + interestPart + principalPart);
+    inst.chargesPaid = roundCurrency((inst.chargesPaid || 0) + chargesPart);
+    refreshInstallmentStatus(inst, paidAt);
+
+    schedule.outstandingPrincipal = roundCurrency(schedule.outstandingPrincipal - principalPart);
+    allocations.push({
+      installmentNumber: inst.installmentNumber,
+      principal: principalPart,
+      interest: interestPart,
+      charges: chargesPart
+    });
+  }
+
+  schedule.totalPaid = roundCurrency((schedule.totalPaid || 0) + payment.amount);
+  schedule.ledger.push({
+    type: 'payment',
+    amount: payment.amount,
+    principal: roundCurrency(allocations.reduce((sum, a) => sum + a.principal, 0)),
+    interest: roundCurrency(allocations.reduce((sum, a) => sum + a.interest, 0)),
+    charges: roundCurrency(allocations.reduce((sum, a) => sum + a.charges, 0)),
+    paymentId: payment._id,
+    description: payment.referenceNumber ? `Payment ref ${payment.referenceNumber}` : 'Payment received',
+    balanceAfter: schedule.outstandingPrincipal,
+    postedAt: paidAt,
+    postedBy
+  });
+
+  const fullyRepaid = closeScheduleIfRepaid(schedule, paidAt);
+  await schedule.save();
+
+  payment.status = 'Success';
+  payment.paidAt = paidAt;
+  payment.allocations = allocations;
+  payment.outstandingAfter = schedule.outstandingPrincipal;
+  await payment.save();
+
+  if (fullyRepaid) {
+    await closeRepaidApplication(payment.applicationId, { closedAt: paidAt, changedBy: postedBy });
+  }
+
+  return { schedule, payment };
+};
+
+// Undo a previously posted payment (used when the payment is refunded in full)
+export const reversePaymentOnSchedule = async (payment, { postedBy, reason } = {}) => {
+  const schedule = await RepaymentSchedule.findOne({ applicationId: payment.applicationId });
+  if (!schedule) {
+    throw new Error('Repayment schedule not found for this application');
+  }
+
+  let principalReversed = 0;
+  let interestReversed = 0;
+  let chargesReversed = 0;
+
+  (payment.allocations || []).forEach(allocation => {
+    const inst = schedule.installments.find(i => i.installmentNumber === allocation.installmentNumber);
+    if (!inst) return;
+
+    inst.paidAmount = roundCurrency(Math.max((inst.paidAmount || 0) - allocation.principal - allocation.interest, 0));
+    inst.chargesPaid = roundCurrency(Math.max((inst.chargesPaid || 0) - (allocation.charges || 0), 0));
+    inst.paidAt = undefined;
+    refreshInstallmentStatus(inst);
+
+    principalReversed = roundCurrency(principalReversed + allocation.principal);
+    interestReversed = roundCurrency(interestReversed + allocation.interest);
+    chargesReversed = roundCurrency(chargesReversed + (allocation.charges || 0));
+  });
+
+  schedule.outstandingPrincipal = roundCurrency(schedule.outstandingPrincipal + principalReversed);
+  schedule.totalPaid = roundCurrency((schedule.totalPaid || 0) - payment.amount);
+  schedule.ledger.push({
+    type: 'refund',
+    amount: -payment.amount,
+    principal: -principalReversed,
+    interest: -interestReversed,
+    charges: -chargesReversed,
+    paymentId: payment._id,
+    description: reason ? `Refund: ${reason}` : 'Payment refunded',
+    balanceAfter: schedule.outstandingPrincipal,
+    postedBy
+  });
+
+  const wasClosed = schedule.status === 'Closed';
+  if (wasClosed) {
+    schedule.status = 'Active';
+    schedule.closedAt = undefined;
+  }
+  await schedule.save();
+
+  if (wasClosed) {
+    const application = await Application.findById(payment.applicationId);
+    if (application?.canTransitionTo('Disbursed')) {
+      application.transitionTo('Disbursed', { changedBy: postedBy, comment: 'Reopened after closing payment was refunded' });
+      application.closedAt = undefined;
+      await application.save();
+    }
+  }
+
+  return schedule;
+};
+
+// Waive late fee / penal interest on an installment. amount defaults to everything outstanding.
+export const waiveInstallmentCharges = (schedule, { installmentNumber, amount, reason, postedBy }) => {
+  const inst = schedule.installments.find(i => i.installmentNumber === Number(installmentNumber));
+  if (!inst) {
+    throw new Error('Installment not found');
+  }
+
+  const outstanding = chargesOutstanding(inst);
+  const waiver = roundCurrency(amount !== undefined ? Number(amount) : outstanding);
+  if (!Number.isFinite(waiver) || waiver <= 0 || waiver > outstanding) {
+    throw new Error(`Waiver amount must be between 0 and ${outstanding}`);
+  }
+
+  inst.chargesWaived = roundCurrency((inst.chargesWaived || 0) + waiver);
+  refreshInstallmentStatus(inst, new Date());
+
+  schedule.ledger.push({
+    type: 'waiver',
+    amount: -waiver,
+    charges: -waiver,
+    installmentNumber: inst.installmentNumber,
+    description: 'Overdue charges waived',
+    reason,
+    balanceAfter: schedule.outstandingPrincipal,
+    postedBy
+  });
+
+  // The waiver may have cleared the last amount owed on the loan
+  closeScheduleIfRepaid(schedule);
+
+  return inst;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Foreclosure / prepayment settings of the loan product behind an application
+export const getForeclosureConfig = async (applicationId) => {
+  const application = await Application.findById(applicationId).select('loanId');
+  const loan = application ? await Loan.findById(application.loanId).select('foreclosure') : null;
+  return loan?.foreclosure || {};
+};
+
+// Fee charged by the loan product on principal repaid early
+export const calculatePrepaymentFee = (foreclosure = {}, principalAmount) => {
+  const value = Number(foreclosure.feeValue) || 0;
+  if (value <= 0) return 0;
+  return foreclosure.feeType === 'flat'
+    ? roundCurrency(value)
+    : roundCurrency(principalAmount * value / 100);
+};
+
+// Reason early repayment is not allowed yet, or null if it is
+const prepaymentBlockedReason = (schedule, foreclosure = {}, asOf) => {
+  if (schedule.status !== 'Active') return 'Loan is not active';
+  if (foreclosure.allowed === false) return 'Early repayment is not allowed on this loan';
+
+  const lockInMonths = Number(foreclosure.lockInMonths) || 0;
+  if (lockInMonths > 0) {
+    const lockInEnds = new Date(schedule.startDate);
+    lockInEnds.setMonth(lockInEnds.getMonth() + lockInMonths);
+    if (asOf < lockInEnds) {
+      return `Early repayment is allowed after ${lockInEnds.toDateString()}`;
+    }
+  }
+  return null;
+};
+
+// Amount needed to close the loan today: outstanding principal, unpaid interest on past
+// installments, interest accrued (actual/365) on the current period, overdue charges and fee.
+export const getForeclosureQuote = (schedule, foreclosure = {}, asOf = new Date()) => {
+  const unpaid = schedule.installments.filter(inst => inst.status !== 'Paid');
+  const pastDue = unpaid.filter(inst => new Date(inst.dueDate) <= asOf);
+  const upcoming = unpaid.filter(inst => new Date(inst.dueDate) > asOf);
+
+  const overdueInterest = roundCurrency(pastDue.reduce((sum, inst) => {
+    const interestPaid = Math.min(inst.paidAmount || 0, inst.interest);
+    return sum + (inst.interest - interestPaid);
+  }, 0));
+
+  // Interest for the running period accrues on principal not yet due
+  const lastDueDate = schedule.installments
+    .filter(inst => new Date(inst.dueDate) <= asOf)
+    .reduce((latest, inst) => (inst.dueDate > latest ? inst.dueDate : latest), schedule.startDate);
+  const days = Math.max(Math.floor((asOf - new Date(lastDueDate)) / DAY_MS), 0);
+  const principalNotDue = roundCurrency(upcoming.reduce((sum, inst) => {
+    const interestPaid = Math.min(inst.paidAmount || 0, inst.interest);
+    return sum + inst.principal - ((inst.paidAmount || 0) - interestPaid);
+  }, 0));
+  const accruedInterest = roundCurrency(principalNotDue * (schedule.annualRate / 100) * days / 365);
+
+  const charges = roundCurrency(unpaid.reduce((sum, inst) => sum + chargesOutstanding(inst), 0));
+  const foreclosureFee = calculatePrepaymentFee(foreclosure, schedule.outstandingPrincipal);
+  const blockedReason = prepaymentBlockedReason(schedule, foreclosure, asOf);
+
+  return {
+    allowed: !blockedReason,
+    reason: blockedReason,
+    asOf,
+    validUntil: new Date(new Date(asOf).setHours(23, 59, 59, 999)),
+    outstandingPrincipal: schedule.outstandingPrincipal,
+    overdueInterest,
+    accruedInterest,
+    accruedInterestDays: days,
+    charges,
+    foreclosureFee,
+    totalPayable: roundCurrency(schedule.outstandingPrincipal + overdueInterest + accruedInterest + charges + foreclosureFee)
+  };
+};
+
+// Work out the effect of a part-prepayment without saving anything.
+// option: 'reduce_tenure' keeps the EMI and shortens the loan,
+//         'reduce_emi' keeps the remaining tenure and lowers the EMI.
+export const buildPrepaymentPlan = (schedule, foreclosure = {}, { amount, option = 'reduce_tenure', asOf = new Date() }) => {
+  const blockedReason = prepaymentBlockedReason(schedule, foreclosure, asOf);
+  if (blockedReason) throw new Error(blockedReason);
+
+  const principalAmount = roundCurrency(Number(amount));
+  if (!Number.isFinite(principalAmount) || principalAmount <= 0) {
+    throw new Error('Prepayment amount must be greater than 0');
+  }
+  if (principalAmount < (Number(foreclosure.minPartPayment) || 0)) {
+    throw new Error(`Minimum part-prepayment is ${foreclosure.minPartPayment}`);
+  }
+  if (principalAmount >= schedule.outstandingPrincipal) {
+    throw new Error('Prepayment covers the full outstanding principal. Use the foreclosure quote instead.');
+  }
+  if (schedule.repaymentType === 'payday') {
+    throw new Error('Part-prepayment is not available on payday loans. Use the foreclosure quote instead.');
+  }
+  if (!['reduce_tenure', 'reduce_emi'].includes(option)) {
+    throw new Error('Option must be reduce_tenure or reduce_emi');
+  }
+
+  const unpaid = schedule.installments.filter(inst => inst.status !== 'Paid');
+  if (unpaid.some(inst => new Date(inst.dueDate) <= asOf || (inst.paidAmount || 0) > 0 || chargesOutstanding(inst) > 0)) {
+    throw new Error('Please clear all pending dues before making a part-prepayment');
+  }
+
+  const newPrincipal = roundCurrency(schedule.outstandingPrincipal - principalAmount);
+  const tenure = option === 'reduce_emi'
+    ? unpaid.length
+    : Math.min(calculateTenureForEMI(newPrincipal, schedule.annualRate, schedule.emi), unpaid.length);
+
+  const rebuilt = buildAmortizationSchedule({
+    principal: newPrincipal,
+    annualRate: schedule.annualRate,
+    tenureMonths: tenure
+  });
+
+  // Keep the original due dates and numbering for the remaining installments
+  const firstNumber = unpaid[0].installmentNumber;
+  const installments = rebuilt.installments.map((inst, index) => ({
+    ...inst,
+    installmentNumber: firstNumber + index,
+    dueDate: unpaid[index].dueDate
+  }));
+
+  return {
+    option,
+    principalAmount,
+    fee: calculatePrepaymentFee(foreclosure, principalAmount),
+    outstandingPrincipalAfter: newPrincipal,
+    emi: rebuilt.emi,
+    remainingInstallments: installments.length,
+    installments
+  };
+};
+
+// The plan quoted when an online prepayment order was created, if nothing has been paid or
+// charged on the loan since. An installment falling due in between does not change it.
+const quotedPrepaymentPlan = (schedule, payment) => {
+  const quoted = payment.prepaymentPlan;
+  if (!quoted?.installments?.length) return null;
+
+  const unpaid = schedule.installments.filter(inst => inst.status !== 'Paid');
+  const unchanged = schedule.status === 'Active' &&
+    roundCurrency(schedule.outstandingPrincipal) === roundCurrency(quoted.outstandingPrincipalBefore) &&
+    unpaid[0]?.installmentNumber === quoted.installments[0].installmentNumber &&
+    unpaid.length >= quoted.installments.length &&
+    unpaid.every(inst => !(inst.paidAmount > 0) && chargesOutstanding(inst) <= 0);
+  if (!unchanged) return null;
+
+  return {
+    option: payment.prepaymentOption,
+    principalAmount: quoted.principalAmount,
+    outstandingPrincipalAfter: quoted.outstandingPrincipalAfter,
+    emi: quoted.emi,
+    installments: quoted.installments.map(inst => (inst.toObject ? inst.toObject() : { ...inst }))
+  };
+};
+
+// Apply a captured prepayment payment: reduce principal and replace the remaining installments
+export const applyPrepaymentToSchedule = async (payment, foreclosure = {}, { postedBy } = {}) => {
+  const schedule = await RepaymentSchedule.findOne({ applicationId: payment.applicationId });
+  if (!schedule) {
+    throw new Error('Repayment schedule not found for this application');
+  }
+
+  const paidAt = payment.paidAt || new Date();
+  const fee = payment.prepaymentFee || 0;
+  const plan = quotedPrepaymentPlan(schedule, payment) || buildPrepaymentPlan(schedule, foreclosure, {
+    amount: roundCurrency(payment.amount - fee),
+    option: payment.prepaymentOption,
+    asOf: paidAt
+  });
+
+  const settled = schedule.installments.filter(inst => inst.status === 'Paid').map(inst => inst.toObject());
+  schedule.installments = [...settled, ...plan.installments];
+  schedule.emi = plan.emi;
+  schedule.tenureMonths = schedule.installments.length;
+  schedule.outstandingPrincipal = plan.outstandingPrincipalAfter;
+  schedule.totalInterest = roundCurrency(schedule.installments.reduce((sum, inst) => sum + inst.interest, 0));
+  schedule.totalPayable = roundCurrency(schedule.principal + schedule.totalInterest);
+  schedule.totalPaid = roundCurrency((schedule.totalPaid || 0) + payment.amount);
+  schedule.ledger.push({
+    type: 'prepayment',
+    amount: payment.amount,
+    principal: plan.principalAmount,
+    charges: fee,
+    paymentId: payment._id,
+    description: `Part-prepayment (${plan.option === 'reduce_emi' ? 'EMI reduced' : 'tenure reduced'})`,
+    balanceAfter: schedule.outstandingPrincipal,
+    postedAt: paidAt,
+    postedBy
+  });
+  await schedule.save();
+
+  payment.status = 'Success';
+  payment.paidAt = paidAt;
+  payment.allocations = [{ principal: plan.principalAmount, charges: fee }];
+  payment.outstandingAfter = schedule.outstandingPrincipal;
+  await payment.save();
+
+  return { schedule, payment };
+};
+
+// Apply a captured foreclosure payment: settle every unpaid installment and close the loan.
+// The payment must match the foreclosure quote, taken when the payment was created if it is
+// still valid and otherwise as of the payment date. Interest not yet earned on future
+// installments is dropped; interest accrued on the running period goes on the first of them.
+export const applyForeclosureToSchedule = async (payment, foreclosure = {}, { postedBy } = {}) => {
+  const schedule = await RepaymentSchedule.findOne({ applicationId: payment.applicationId });
+  if (!schedule) {
+    throw new Error('Repayment schedule not found for this application');
+  }
+
+  const paidAt = payment.paidAt || new Date();
+  const quoted = payment.foreclosureQuote;
+  const asOf = quoted?.asOf && paidAt <= quoted.validUntil ? quoted.asOf : paidAt;
+  const quote = getForeclosureQuote(schedule, foreclosure, asOf);
+  if (!quote.allowed) {
+    throw new Error(quote.reason);
+  }
+  if (roundCurrency(payment.amount) !== quote.totalPayable) {
+    throw new Error(`Foreclosure amount is ${quote.totalPayable}, but the payment is ${payment.amount}`);
+  }
+
+  let accruedInterest = quote.accruedInterest;
+  const allocations = [];
+
+  schedule.installments.forEach(inst => {
+    if (inst.status === 'Paid') return;
+
+    const interestPaid = Math.min(inst.paidAmount || 0, inst.interest);
+    const principalPaid = roundCurrency((inst.paidAmount || 0) - interestPaid);
+    if (new Date(inst.dueDate) > new Date(asOf)) {
+      inst.interest = roundCurrency(interestPaid + accruedInterest);
+      inst.amount = roundCurrency(inst.principal + inst.interest);
+      accruedInterest = 0;
+    }
+
+    const chargesPart = roundCurrency(Math.max(chargesOutstanding(inst), 0));
+    allocations.push({
+      installmentNumber: inst.installmentNumber,
+      principal: roundCurrency(inst.principal - principalPaid),
+      interest: roundCurrency(inst.interest - interestPaid),
+      charges: chargesPart
+    });
+
+    inst.paidAmount = inst.amount;
+    inst.chargesPaid = roundCurrency((inst.chargesPaid || 0) + chargesPart);
+    refreshInstallmentStatus(inst, paidAt);
+  });
+  if (quote.foreclosureFee > 0) {
+    allocations.push({ principal: 0, interest: 0, charges: quote.foreclosureFee });
+  }
+
+  schedule.outstandingPrincipal = 0;
+  schedule.totalInterest = roundCurrency(schedule.installments.reduce((sum, inst) => sum + inst.interest, 0));
+  schedule.totalPayable = roundCurrency(schedule.principal + schedule.totalInterest);
+  schedule.totalPaid = roundCurrency((schedule.totalPaid || 0) + payment.amount);
+  schedule.ledger.push({
+    type: 'foreclosure',
+    amount: payment.amount,
+    principal: roundCurrency(allocations.reduce((sum, a) => sum + a.principal, 0)),
+    interest: roundCurrency(allocations.reduce((sum, a) => sum + a.interest, 0)),
+    charges: roundCurrency(allocations.reduce((sum, a) => sum + a.charges, 0)),
+    paymentId: payment._id,
+    description: payment.referenceNumber ? `Foreclosure ref ${payment.referenceNumber}` : 'Loan foreclosed',
+    balanceAfter: 0,
+    postedAt: paidAt,
+    postedBy
+  });
+  closeScheduleIfRepaid(schedule, paidAt);
+  await schedule.save();
+
+  payment.status = 'Success';
+  payment.paidAt = paidAt;
+  payment.allocations = allocations;
+  payment.outstandingAfter = 0;
+  await payment.save();
+
+  await closeRepaidApplication(payment.applicationId, { closedAt: paidAt, changedBy: postedBy });
+
+  return { schedule, payment };
+};
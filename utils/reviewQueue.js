@@ -0,0 +1,66 @@
+import Application from '../models/Application.model.js';
+
+// Statuses that sit in the underwriting queue
+export const QUEUE_STATUSES = ['Submitted', 'Under Review'];
+
+export const getLeaseDurationMs = () => (Number(process.env.REVIEW_LEASE_MINUTES) || 30) * 60 * 1000;
+
+// Query fragment matching applications nobody currently holds
+export const unassignedFilter = (now = new Date()) => ({
+  $or: [
+    { 'assignment.reviewer': null },
+    { 'assignment.leaseExpiresAt': { $lte: now } }
+  ]
+});
+
+export const hasActiveLease = (application, now = new Date()) => Boolean(
+  application.assignment?.reviewer && application.assignment.leaseExpiresAt > now
+);
+
+// True when another reviewer holds a live lease on the application
+export const isHeldByAnother = (application, userId, now = new Date()) => (
+  hasActiveLease(application, now) && application.assignment.reviewer.toString() !== userId.toString()
+);
+
+// Atomically claim the oldest unassigned application in the queue.
+// Submitted applications move to Under Review as they are claimed.
+export const claimNextApplication = async (reviewerId) => {
+  const now = new Date();
+  const application = await Application.findOneAndUpdate(
+    { status: { $in: QUEUE_STATUSES }, ...unassignedFilter(now) },
+    {
+      $set: {
+        assignment: {
+          reviewer: reviewerId,
+          claimedAt: now,
+          leaseExpiresAt: new Date(now.getTime() + getLeaseDurationMs())
+        }
+      }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+  if (application && application.status === 'Submitted') {
+    application.transitionTo('Under Review', { changedBy: reviewerId, comment: 'Claimed from review queue' });
+    await application.save();
+  }
+
+  return application;
+};
+
+// Hand an application to a reviewer with a fresh lease
+export const assignApplication = (application, reviewerId, { assignedBy } = {}) => {
+  const now = new Date();
+  application.assignment = {
+    reviewer: reviewerId,
+    claimedAt: now,
+    leaseExpiresAt: new Date(now.getTime() + getLeaseDurationMs()),
+    ...(assignedBy && assignedBy.toString() !== reviewerId.toString() && { assignedBy })
+  };
+  return application;
+};
+
+export const clearAssignment = (application) => {
+  application.assignment = undefined;
+  return application;
+};
@@ -332,14 +332,13 @@ export async function sendEmail({ to, subject, html, text }) {
 }
 
 export async function sendOTPEmail(to, otp, purpose = "verification") {
+  // Neither the code nor the address is logged
   console.log(`\n📧 Preparing to send OTP email...`);
-  console.log(`   To: ${to}`);
   console.log(`   Purpose: ${purpose}`);
-  console.log(`   OTP: ${otp}`);
   
   // Validate email format
   if (!to || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to)) {
-    console.error('❌ Invalid email address:', to);
+    console.error('❌ Invalid email address for OTP');
     return {
       success: false,
       error: 'Invalid email address format',
@@ -366,13 +365,53 @@ export async function sendOTPEmail(to, otp, purpose = "verification") {
   const result = await sendEmail({ to, subject, html, text });
   
   if (result.success) {
-    console.log(`✅ OTP email sent successfully to ${to}`);
+    console.log('✅ OTP email sent successfully');
     console.log(`   Message ID: ${result.messageId}`);
   } else {
-    console.error(`❌ Failed to send OTP email to ${to}`);
+    console.error('❌ Failed to send OTP email');
     console.error(`   Error: ${result.error}`);
     console.error(`   Code: ${result.code}`);
   }
   
   return result;
 }
+
+export async function sendDisbursementEmail(to, { fullName, applicationNumber, amount, feesDeducted, netAmount, referenceNumber, disbursedAt, emi, firstDueDate }) {
+  const formatAmount = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+  const subject = `Loan Disbursed - ${applicationNumber}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #28a745;">Your Loan Has Been Disbursed</h2>
+      <p style="color: #666;">Dear ${fullName || 'Customer'},</p>
+      <p style="color: #666;">The amount for your loan has been transferred to your registered bank account.</p>
+      <p style="color: #666;"><strong>Application Number:</strong> ${applicationNumber}</p>
+      <p style="color: #666;"><strong>Loan Amount:</strong> ${formatAmount(amount)}</p>
+      <p style="color: #666;"><strong>Fees Deducted:</strong> ${formatAmount(feesDeducted)}</p>
+      <p style="color: #666;"><strong>Amount Credited:</strong> ${formatAmount(netAmount)}</p>
+      <p style="color: #666;"><strong>Reference (UTR):</strong> ${referenceNumber}</p>
+      <p style="color: #666;"><strong>Disbursed On:</strong> ${new Date(disbursedAt).toLocaleDateString('en-IN')}</p>
+      ${emi ? `<p style="color: #666;"><strong>EMI:</strong> ${formatAmount(emi)}${firstDueDate ? ` (first due on ${new Date(firstDueDate).toLocaleDateString('en-IN')})` : ''}</p>` : ''}
+      <p style="color: #666;">You can view your full repayment schedule in your dashboard.</p>
+    </div>
+  `;
+  const text = `Your loan ${applicationNumber} has been disbursed. Amount credited: ${formatAmount(netAmount)}. Reference: ${referenceNumber}.`;
+
+  return sendEmail({ to, subject, html, text });
+}
+
+export async function sendDocumentsPendingEmail(to, { fullName, applicationNumber, documents = [] }) {
+  const subject = `Action Required: Documents for ${applicationNumber}`;
+  const rows = documents.map(doc => `<li><strong>${doc.type}</strong> (${doc.name}): ${doc.rejectionReason || 'Please upload again'}</li>`).join('');
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #ffc107;">Documents Required</h2>
+      <p style="color: #666;">Dear ${fullName || 'Customer'},</p>
+      <p style="color: #666;">We could not verify the following documents for your loan application <strong>${applicationNumber}</strong>:</p>
+      <ul style="color: #666;">${rows}</ul>
+      <p style="color: #666;">Please log in to your dashboard and upload replacements so we can continue processing your application.</p>
+    </div>
+  `;
+  const text = `Some documents for application ${applicationNumber} could not be verified:\n${documents.map(doc => `- ${doc.type} (${doc.name}): ${doc.rejectionReason || 'Please upload again'}`).join('\n')}\nPlease upload replacements from your dashboard.`;
+
+  return sendEmail({ to, subject, html, text });
+}
@@ -0,0 +1,38 @@
+import fs from 'fs';
+
+// Local development provider: writes each SMS to SMS_LOG_FILE (one JSON line per message)
+// or to the console. Nothing leaves the machine, so it reports messages as delivered.
+// In production nothing is written and messages are reported as failed, since codes must not
+// end up in server logs.
+
+const consoleProvider = {
+  name: 'console',
+  requiresDlt: false,
+
+  async send({ to, text, dltTemplateId, senderId }) {
+    const messageId = `console_${Date.now()}_${Math.round(Math.random() * 1E6)}`;
+
+    if (process.env.NODE_ENV === 'production') {
+      return { messageId, status: 'failed', error: 'SMS provider not configured' };
+    }
+
+    const entry = { messageId, to, senderId, dltTemplateId, text, sentAt: new Date().toISOString() };
+    if (process.env.SMS_LOG_FILE) {
+      fs.appendFileSync(process.env.SMS_LOG_FILE, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`📱 SMS to ${to}${dltTemplateId ? ` [DLT ${dltTemplateId}]` : ''}: ${text}`);
+    }
+
+    return { messageId, status: 'delivered' };
+  },
+
+  verifyDeliveryReport() {
+    return false; // nothing to report back
+  },
+
+  parseDeliveryReport() {
+    return [];
+  }
+};
+
+export default consoleProvider;
@@ -0,0 +1,102 @@
+import OTP from '../../models/OTP.model.js';
+import consoleProvider from './consoleProvider.js';
+import msg91Provider from './msg91Provider.js';
+
+// Registered SMS adapters. Each adapter implements:
+//   send({ to, text, variables, dltTemplateId, dltEntityId, senderId }) -> { messageId, status, error }
+//   verifyDeliveryReport({ headers, query, body }) -> boolean
+//   parseDeliveryReport(body) -> [{ messageId, status, error, at }]
+// requiresDlt marks adapters that deliver on Indian networks, where every message must use a
+// template registered on the DLT platform.
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [msg91Provider.name]: msg91Provider
+};
+
+export const hasSmsProvider = (name) => Object.hasOwn(providers, name);
+
+export const getSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+  if (!hasSmsProvider(name)) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return providers[name];
+};
+
+// Message templates. The text must match the DLT-registered template exactly, with {#var#}
+// for each variable part (filled in order from the values passed to sendSms).
+export const SMS_TEMPLATES = {
+  otp: {
+    dltTemplateId: () => process.env.SMS_OTP_DLT_TEMPLATE_ID,
+    text: () => process.env.SMS_OTP_TEMPLATE
+      || '{#var#} is your OTP for {#var#}. It is valid for 10 minutes. Do not share it with anyone.'
+  }
+};
+
+const fillTemplate = (text, values) => {
+  let index = 0;
+  return text.replace(/\{#var#\}/g, () => String(values[index++] ?? ''));
+};
+
+// Indian mobile numbers in the 91XXXXXXXXXX form SMS gateways expect
+export const normalizeMobile = (phone = '') => {
+  const digits = String(phone).replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length === 10 ? `91${digits}` : digits;
+};
+
+// Send a templated SMS. Returns { provider, messageId, status, error }; never throws for
+// delivery problems so callers can record the outcome.
+export const sendSms = async ({ to, template, values = [] }) => {
+  const provider = getSmsProvider();
+  const config = SMS_TEMPLATES[template];
+  if (!config) {
+    throw new Error(`Unknown SMS template: ${template}`);
+  }
+
+  const dltTemplateId = config.dltTemplateId();
+  if (provider.requiresDlt && !dltTemplateId) {
+    return { provider: provider.name, status: 'failed', error: `No DLT template id configured for ${template} messages` };
+  }
+
+  const result = await provider.send({
+    to: normalizeMobile(to),
+    text: fillTemplate(config.text(), values),
+    variables: Object.fromEntries(values.map((value, index) => [`var${index + 1}`, String(value)])),
+    dltTemplateId,
+    dltEntityId: process.env.SMS_DLT_ENTITY_ID,
+    senderId: process.env.SMS_SENDER_ID
+  });
+
+  return { provider: provider.name, ...result };
+};
+
+// Apply a provider's delivery report callback to the OTP records it refers to
+export const processDeliveryReport = async (providerName, req) => {
+  const provider = getSmsProvider(providerName);
+  if (!provider.verifyDeliveryReport(req)) {
+    return { accepted: false };
+  }
+
+  const reports = provider.parseDeliveryReport(req.body);
+  let updated = 0;
+
+  for (const report of reports) {
+    const at = report.at instanceof Date && !isNaN(report.at.getTime()) ? report.at : new Date();
+    const result = await OTP.updateOne(
+      {
+        'delivery.provider': provider.name,
+        'delivery.messageId': report.messageId,
+        'delivery.status': { $ne: 'delivered' } // reports can arrive out of order
+      },
+      {
+        $set: {
+          'delivery.status': report.status,
+          'delivery.error': report.error,
+          ...(report.status === 'delivered' && { 'delivery.deliveredAt': at })
+        }
+      }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return { accepted: true, received: reports.length, updated };
+};
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+
+// MSG91 (https://msg91.com) adapter using the Flow API. The DLT template is registered with
+// MSG91 and linked to a flow; MSG91_TEMPLATE_ID is the flow id, and the OTP is passed as a
+// variable. Delivery reports are posted back to /api/sms/delivery/msg91?token=<SMS_WEBHOOK_TOKEN>.
+
+const FLOW_URL = 'https://control.msg91.com/api/v5/flow/';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// MSG91 report descriptions mapped to OTP delivery statuses
+const REPORT_STATUSES = {
+  delivered: 'delivered',
+  failed: 'failed',
+  rejected: 'failed',
+  ndnc: 'failed',
+  undelivered: 'failed',
+  expired: 'failed',
+  sent: 'sent',
+  submitted: 'sent'
+};
+
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const msg91Provider = {
+  name: 'msg91',
+  requiresDlt: true,
+
+  async send({ to, variables = {}, dltTemplateId }) {
+    if (!process.env.MSG91_AUTH_KEY || !process.env.MSG91_TEMPLATE_ID) {
+      return { status: 'failed', error: 'MSG91_AUTH_KEY and MSG91_TEMPLATE_ID must be set' };
+    }
+
+    try {
+      const response = await fetch(FLOW_URL, {
+        method: 'POST',
+        headers: {
+          authkey: process.env.MSG91_AUTH_KEY,
+          'content-type': 'application/json',
+          accept: 'application/json'
+        },
+        body: JSON.stringify({
+          template_id: process.env.MSG91_TEMPLATE_ID,
+          short_url: '0',
+          ...(process.env.SMS_SENDER_ID && { sender: process.env.SMS_SENDER_ID }),
+          ...(dltTemplateId && { DLT_TE_ID: dltTemplateId }),
+          recipients: [{ mobiles: to, ...variables }]
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || body.type !== 'success') {
+        return { status: 'failed', error: body.message || `MSG91 responded with ${response.status}` };
+      }
+
+      // For flows, "message" holds the request id that delivery reports refer to
+      return { messageId: body.message, status: 'sent' };
+    } catch (error) {
+      return { status: 'failed', error: error.message };
+    }
+  },
+
+  verifyDeliveryReport({ query = {} }) {
+    return Boolean(process.env.SMS_WEBHOOK_TOKEN) && safeEqual(String(query.token || ''), process.env.SMS_WEBHOOK_TOKEN);
+  },
+
+  // MSG91 posts an array (or { data: [...] }) of { requestId, report: [{ desc, number, date }] }
+  parseDeliveryReport(body) {
+    const entries = Array.isArray(body) ? body : (body?.data || [body]);
+
+    return entries.flatMap(entry => (entry?.report || []).map(report => {
+      const description = String(report.desc || report.status || '').toLowerCase();
+      const status = REPORT_STATUSES[description] || 'sent';
+      return {
+        messageId: entry.requestId,
+        status,
+        error: status === 'failed' ? report.desc : undefined,
+        at: report.date ? new Date(report.date) : new Date()
+      };
+    })).filter(report => report.messageId);
+  }
+};
+
+export default msg91Provider;